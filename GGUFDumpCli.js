@@ -0,0 +1,600 @@
+#!/usr/bin/env node
+/**
+ * Command-line front end for GgufMetadata.js. Reads one or more GGUF files and/or Hugging Face config.json files (paths, globs, or URLs)
+ * and prints metadata, tensors, offload order, KV cache estimates, or offload plans as text, JSON, CSV, or Markdown.
+ * The shards of a split model (model-00001-of-00003.gguf, ...) given together are merged and reported as one model.
+ * Run with --help for usage.
+ */
+const fs = require('fs');
+const path = require('path');
+const { GgufMetadata, GgufArray, KvCacheTypes, getGgmlTypeName, getFileTypeName, TensorRole, TensorDequantizers, estimateKvCacheFromJson, getSplitFileInfo, groupSplitFiles } = require('./GgufMetadata.js');
+
+/**
+ * Exit codes, so the tool can be used in scripts and CI checks.
+ */
+const ExitCode = {
+    SUCCESS: 0,
+    FILE_ERROR: 1, // At least one file couldn't be read or parsed
+    USAGE_ERROR: 2, // Bad command line
+    NO_FILES: 3, // No paths or globs matched any files
+    PLAN_DOES_NOT_FIT: 4, // plan: the KV cache and compute buffer alone exceed the VRAM budget for at least one file
+    VALIDATION_FAILED: 5, // validate: at least one file has integrity errors
+};
+
+const commands = ['dump', 'tensors', 'offload', 'kv', 'plan', 'validate', 'stats'];
+const formats = ['text', 'json', 'csv', 'md'];
+
+const usage = `Usage: GGUFDumpCli.js <command> [options] <file|glob|url>...
+
+Commands:
+  dump      All metadata keys with their types and values (default)
+  tensors   Tensor names, types, shapes, and sizes
+  offload   Tensors in suggested GPU offload order with running totals
+  kv        KV cache estimate (GGUF or config.json)
+  plan      llama.cpp flags for a VRAM budget (one budget per GPU, comma-separated)
+  validate  Integrity check: duplicate keys, bad UTF-8, misaligned/overlapping/truncated tensor data, ...
+  stats     Weight statistics per tensor (min, max, mean, std, NaN/Inf counts, zeros) read from the tensor data
+
+Options:
+  -f, --format <text|json|csv|md>  Output format (default: text)
+  --vram <GiB[,GiB...]>            VRAM budget(s) for plan (default: 24)
+  --main-gpu <n>                   Main GPU index for multi-GPU plans (default: 0)
+  --backend <name>                 llama.cpp backend name for device overrides (default: CUDA)
+  --ctx <n>                        Context length for kv and plan (default: 8192)
+  --kv-type <type>                 KV cache type: f32, f16, bf16, q8_0, q4_0, q4_1, iq4_nl, q5_0, q5_1 (default: f16)
+  --parallel <n>                   Parallel sequences for kv and plan (default: 1)
+  --compute <MiB>                  Compute buffer reserve per GPU for plan (default: 512)
+  --max-array-length <n>           Longest array dump prints in full (default: 16)
+  --offload-rule <match=priority>  Move tensors in the offload order and plan; match is a tensor role
+                                   (e.g., shared-expert) or a name regex. Defaults: output 10, attention 20,
+                                   other block tensors 21, routed-expert 30, mtp 40, vision 50, embedding 60.
+                                   Can be repeated; earlier rules win.
+  --tensor <regex>                 Only read tensors whose names match, for stats
+  --sample <n>                     Weights stats reads per tensor, spread across it; 0 reads them all (default: 1048576)
+  -h, --help                       Show this help
+
+Exit codes: 0 success, 1 a file failed to load, 2 usage error, 3 no files matched, 4 a plan doesn't fit the VRAM budget,
+5 validate found errors.`;
+
+/**
+ * Parses the command line into a command, options, and input patterns. Throws on unknown options or bad values.
+ */
+function parseArgs(argv) {
+    const options = {
+        command: 'dump', format: 'text', vram: [24], mainGpu: 0, backend: 'CUDA', contextLength: 8192,
+        kvCacheType: 'f16', parallel: 1, computeMiB: 512, maxArrayLength: 16, offloadRules: [], tensorPattern: null, sampleSize: 1024 * 1024,
+        help: false, inputs: [],
+    };
+    const args = argv.slice();
+    if (commands.includes(args[0])) {
+        options.command = args.shift();
+    }
+
+    const takeNumber = (name, value) => {
+        const number = Number(value);
+        if (value === undefined || !Number.isFinite(number) || number < 0) {
+            throw new Error(`${name} needs a non-negative number.`);
+        }
+        return number;
+    };
+    const takeInteger = (name, value, min) => {
+        const number = Number(value);
+        if (value === undefined || !Number.isInteger(number) || number < min) {
+            throw new Error(`${name} needs a whole number of at least ${min}.`);
+        }
+        return number;
+    };
+
+    while (args.length) {
+        const arg = args.shift();
+        switch (arg) {
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            case '-f':
+            case '--format':
+                options.format = args.shift();
+                if (!formats.includes(options.format)) {
+                    throw new Error(`--format must be one of ${formats.join(', ')}.`);
+                }
+                break;
+            case '--vram':
+                options.vram = (args.shift() ?? '').split(',').map(budget => takeNumber('--vram', budget));
+                break;
+            case '--main-gpu':
+                options.mainGpu = takeInteger(arg, args.shift(), 0);
+                break;
+            case '--backend':
+                options.backend = args.shift();
+                break;
+            case '--ctx':
+                options.contextLength = takeInteger(arg, args.shift(), 1);
+                break;
+            case '--kv-type':
+                options.kvCacheType = args.shift()?.toLowerCase();
+                if (!KvCacheTypes.includes(options.kvCacheType)) {
+                    throw new Error(`--kv-type must be one of the cache types llama.cpp accepts: ${KvCacheTypes.join(', ')}.`);
+                }
+                break;
+            case '--parallel':
+                options.parallel = takeInteger(arg, args.shift(), 1);
+                break;
+            case '--compute':
+                options.computeMiB = takeNumber(arg, args.shift());
+                break;
+            case '--max-array-length':
+                options.maxArrayLength = takeNumber(arg, args.shift());
+                break;
+            case '--offload-rule':
+                options.offloadRules.push(parseOffloadRule(args.shift()));
+                break;
+            case '--tensor':
+                try {
+                    options.tensorPattern = new RegExp(args.shift() ?? '');
+                } catch (error) {
+                    throw new Error(`--tensor has an invalid regular expression: ${error.message}`);
+                }
+                break;
+            case '--sample':
+                options.sampleSize = takeNumber(arg, args.shift());
+                break;
+            default:
+                if (arg.startsWith('-') && arg.length > 1) {
+                    throw new Error(`Unknown option ${arg}.`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+    // --main-gpu and --vram can come in either order, so the range is checked once both are known
+    if (options.vram.length > 1 && options.mainGpu >= options.vram.length) {
+        throw new Error(`--main-gpu ${options.mainGpu} is out of range for ${options.vram.length} --vram budgets.`);
+    }
+    return options;
+}
+
+/**
+ * Parses an --offload-rule value, e.g., "shared-expert=20" or "ffn_down_exps=25", into a rule for GgufMetadata.getTensorsForOffload.
+ * The part before the last = is a TensorRole value if it names one, otherwise a regular expression matched against tensor names.
+ */
+function parseOffloadRule(value) {
+    const separator = value?.lastIndexOf('=') ?? -1;
+    const priority = Number(value?.slice(separator + 1));
+    if (separator <= 0 || value.slice(separator + 1) === '' || !Number.isFinite(priority)) {
+        throw new Error('--offload-rule needs <role or name regex>=<priority>, e.g., shared-expert=20.');
+    }
+    const match = value.slice(0, separator);
+    if (Object.values(TensorRole).includes(match)) {
+        return { role: match, priority };
+    }
+    try {
+        return { name: new RegExp(match), priority };
+    } catch (error) {
+        throw new Error(`--offload-rule has an invalid regular expression: ${error.message}`);
+    }
+}
+
+/**
+ * Expands a path that may contain *, ?, and ** wildcards into the matching files, sorted. A path without wildcards, or a URL, is returned
+ * as-is (even if it doesn't exist, so the error is reported for that file).
+ */
+function expandGlob(pattern) {
+    if (!/[*?]/.test(pattern) || isUrl(pattern)) {
+        return [pattern];
+    }
+
+    const normalized = pattern.split(path.sep).join('/');
+    const isAbsolute = normalized.startsWith('/');
+    const segments = normalized.split('/').filter(segment => segment.length);
+    const segmentToRegex = segment => new RegExp('^' + segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]') + '$');
+    const results = [];
+
+    const walk = (dir, index) => {
+        if (index === segments.length) {
+            if (fs.existsSync(dir) && fs.statSync(dir).isFile()) results.push(dir);
+            return;
+        }
+        const segment = segments[index];
+        if (segment === '**') {
+            walk(dir, index + 1); // ** can match zero directories
+            for (const entry of readDirectory(dir)) {
+                if (entry.isDirectory()) walk(path.join(dir, entry.name), index);
+            }
+        } else if (/[*?]/.test(segment)) {
+            const regex = segmentToRegex(segment);
+            for (const entry of readDirectory(dir)) {
+                if (regex.test(entry.name)) walk(path.join(dir, entry.name), index + 1);
+            }
+        } else {
+            walk(path.join(dir, segment), index + 1);
+        }
+    };
+    walk(isAbsolute ? '/' : '.', 0);
+    return [...new Set(results)].sort();
+}
+
+function isUrl(input) {
+    return /^https?:\/\//i.test(input);
+}
+
+function readDirectory(dir) {
+    try {
+        return fs.readdirSync(dir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+}
+
+function formatBytes(bytes) {
+    if (!Number.isFinite(bytes)) return 'unknown';
+    const units = ['B', 'KiB', 'MiB', 'GiB', 'TiB'];
+    let unitIndex = 0;
+    while (Math.abs(bytes) >= 1024 && unitIndex < units.length - 1) {
+        bytes /= 1024;
+        unitIndex++;
+    }
+    return unitIndex === 0 ? `${bytes} B` : `${bytes.toFixed(2)} ${units[unitIndex]}`;
+}
+
+/**
+ * JSON.stringify replacer that writes BigInts as strings (they'd otherwise throw) and typed arrays as plain arrays.
+ */
+function jsonReplacer(key, value) {
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (ArrayBuffer.isView(value)) {
+        return Array.from(value, element => typeof element === 'bigint' ? element.toString() : element);
+    }
+    return value;
+}
+
+/**
+ * Shortens a metadata value for display: long arrays show their first few elements, and strings are JSON-quoted so whitespace is visible.
+ */
+function formatValue(value, maxArrayLength) {
+    if (value instanceof GgufArray) {
+        if (!value.loaded) return `${value.getTypeName()} (not loaded)`;
+        const shown = Array.from(value.values.slice(0, maxArrayLength), element => formatValue(element, maxArrayLength));
+        return `[${shown.join(', ')}${value.length > maxArrayLength ? `, ... ${value.length - maxArrayLength} more` : ''}]`;
+    }
+    if (typeof value === 'string') {
+        return JSON.stringify(value);
+    }
+    return `${value}`;
+}
+
+/**
+ * Converts GgufMetadata.getQuantizationInfo to plain data, with the higher-precision tensors as names and types.
+ */
+function getQuantizationData(metadata) {
+    const info = metadata.getQuantizationInfo();
+    return {
+        ...info,
+        higherPrecisionTensors: info.higherPrecisionTensors.map(tensor => ({ name: tensor.name, type: getGgmlTypeName(tensor.type), bitsPerWeight: tensor.getBitsPerWeight() })),
+    };
+}
+
+/**
+ * Each command turns a loaded input into a result with rows (flat objects for text, CSV, and Markdown tables) and data (the full structure for JSON).
+ * input is { file, metadata } for GGUF files or { file, json } for config.json files. stats reads tensor data, so it returns a promise.
+ */
+const commandHandlers = {
+    dump(input, options) {
+        if (input.json) {
+            return commandHandlers.kv(input, options);
+        }
+        const entries = input.metadata.getEntries();
+        return {
+            rows: entries.map(({ key, type, value }) => ({
+                key,
+                type,
+                value: key === 'general.file_type' ? `${value} (${getFileTypeName(value)})` : formatValue(value, options.maxArrayLength),
+            })),
+            data: {
+                version: input.metadata.version,
+                endianness: input.metadata.endianness,
+                summary: input.metadata.getModelSummary(),
+                quantization: getQuantizationData(input.metadata),
+                metadata: Object.fromEntries(entries.map(({ key, value }) => [key, value instanceof GgufArray ? value.values : value])),
+                valueTypes: input.metadata.valueTypes,
+                tensorCount: input.metadata.tensors.length,
+                parameterCount: input.metadata.getParameterCount(),
+                tensorBytes: input.metadata.getTotalTensorBytes(),
+                ...(input.metadata.shards ? { shards: input.metadata.shardFileNames, splitProblems: input.metadata.splitProblems } : {}),
+            },
+        };
+    },
+
+    tensors(input) {
+        const rows = requireGguf(input).tensors.map(tensor => ({
+            name: tensor.name,
+            type: getGgmlTypeName(tensor.type),
+            dimensions: tensor.dimensions.join('x'),
+            elements: tensor.getElementCount(),
+            bytes: tensor.getByteSize(),
+            bitsPerWeight: tensor.getBitsPerWeight(),
+            offset: tensor.offset,
+            ...(input.metadata.shards ? { shard: tensor.shard + 1 } : {}),
+        }));
+        return { rows, data: { tensors: rows } };
+    },
+
+    offload(input, options) {
+        let runningTotal = 0;
+        const metadata = requireGguf(input);
+        const rows = metadata.getTensorsForOffload({ rules: options.offloadRules }).map((tensor, index) => {
+            runningTotal += tensor.getByteSize();
+            return {
+                rank: index + 1,
+                name: tensor.name,
+                role: metadata.getTensorRole(tensor).role,
+                type: getGgmlTypeName(tensor.type),
+                bytes: tensor.getByteSize(),
+                runningTotalBytes: runningTotal,
+                runningTotal: formatBytes(runningTotal),
+            };
+        });
+        return { rows, data: { offloadOrder: rows } };
+    },
+
+    kv(input, options) {
+        const kvOptions = { contextLength: options.contextLength, cacheType: options.kvCacheType, parallel: options.parallel };
+        const estimate = input.json ? estimateKvCacheFromJson(input.json, kvOptions) : input.metadata.estimateKvCache(kvOptions);
+        return {
+            rows: [{
+                contextLength: options.contextLength,
+                cacheType: options.kvCacheType,
+                parallel: options.parallel,
+                formula: estimate.formula,
+                totalBytes: estimate.totalBytes,
+                total: formatBytes(estimate.totalBytes),
+                kBytes: estimate.kBytes,
+                vBytes: estimate.vBytes,
+                recurrentBytes: estimate.recurrentBytes,
+                warnings: estimate.warnings.join(' '),
+            }],
+            data: { kvCache: { contextLength: options.contextLength, cacheType: options.kvCacheType, parallel: options.parallel, ...estimate } },
+        };
+    },
+
+    plan(input, options) {
+        const metadata = requireGguf(input);
+        const planOptions = {
+            vramBytes: options.vram.length > 1 ? options.vram.map(gib => gib * 1024 ** 3) : options.vram[0] * 1024 ** 3,
+            mainGpu: options.mainGpu,
+            backend: options.backend,
+            contextLength: options.contextLength,
+            kvCacheType: options.kvCacheType,
+            parallel: options.parallel,
+            computeBufferBytes: options.computeMiB * 1024 ** 2,
+            rules: options.offloadRules,
+        };
+        const plan = options.vram.length > 1 ? metadata.planMultiGpuOffload(planOptions) : metadata.planOffload(planOptions);
+        const rows = plan.devices
+            ? plan.devices.map(device => ({
+                device: device.name,
+                blocks: device.blocks.length,
+                weightBytes: device.weightBytes,
+                kvCacheBytes: device.kvCacheBytes,
+                usedBytes: device.usedBytes,
+                freeBytes: device.freeBytes,
+                commandLine: plan.commandLine,
+            }))
+            : [{ gpuBytes: plan.gpuBytes, cpuBytes: plan.cpuBytes, kvCacheBytes: plan.kvCacheBytes, fits: plan.fits, weightsFit: plan.weightsFit, commandLine: plan.commandLine }];
+        // Placements hold whole TensorInfo objects; JSON gets just the names and devices
+        const { placements, ...planData } = plan;
+        return {
+            rows,
+            data: { plan: { ...planData, placements: placements.map(p => ({ name: p.tensor.name, device: p.device })) } },
+            fits: plan.fits,
+        };
+    },
+
+    validate(input) {
+        // A header too broken to parse comes with its unreadable finding already, and no metadata
+        const findings = input.findings ?? requireGguf(input).validate();
+        const isSplit = !!input.metadata?.shards || findings.some(finding => finding.shard !== undefined);
+        const rows = findings.length
+            ? findings.map(finding => ({
+                severity: finding.severity,
+                check: finding.code,
+                offset: finding.offset ?? '',
+                ...(isSplit ? { shard: finding.shard === undefined ? '' : finding.shard + 1 } : {}),
+                message: finding.message,
+            }))
+            : [{ severity: 'ok', message: 'No problems found.' }];
+        return { rows, data: { findings }, valid: !findings.some(finding => finding.severity === 'error') };
+    },
+
+    async stats(input, options) {
+        const metadata = requireGguf(input);
+        const rows = [];
+        for (const tensor of metadata.tensors) {
+            if (options.tensorPattern && !options.tensorPattern.test(tensor.name)) continue;
+            const row = { name: tensor.name, type: getGgmlTypeName(tensor.type) };
+            if (!TensorDequantizers[tensor.type]) {
+                rows.push({ ...row, error: `${row.type} can't be dequantized` });
+                continue;
+            }
+            const stats = await metadata.getTensorStats(tensor, { maxElements: options.sampleSize || Infinity });
+            rows.push({ ...row, ...stats });
+        }
+        return { rows, data: { tensorStats: rows } };
+    },
+};
+
+function requireGguf(input) {
+    if (!input.metadata) {
+        throw new Error("This command needs a GGUF file.");
+    }
+    return input.metadata;
+}
+
+/**
+ * Loads a GGUF or config.json file from a path or URL. Remote GGUF files are read with HTTP range requests, so only the header is downloaded.
+ * Arrays are read in full only when dumping, where they're printed. A group of split model shards is loaded and merged into one input.
+ * @param {string[]} group - One file, or the shards of one split model (see groupSplitFiles)
+ */
+async function loadInput(group, options) {
+    const file = group[0];
+    const loadOptions = { maxArrayLength: options.command === 'dump' ? Infinity : 4096 };
+    const splitInfo = getSplitFileInfo(file);
+    if (splitInfo) {
+        const shards = [];
+        for (const shardFile of group) {
+            shards.push(await loadGguf(shardFile, options, loadOptions));
+        }
+        const label = `${splitInfo.baseName}.gguf (${group.length} of ${splitInfo.count} shards)`;
+        const unreadable = shards.flatMap((shard, index) => shard.metadata ? [] : shard.findings.map(finding => ({ ...finding, shard: index })));
+        if (unreadable.length) {
+            return { file: label, metadata: null, findings: unreadable };
+        }
+        return { file: label, metadata: GgufMetadata.mergeShards(shards.map(shard => shard.metadata), group.map(shardFile => path.basename(shardFile))) };
+    }
+
+    if (/\.json([?#]|$)/i.test(file)) {
+        if (isUrl(file)) {
+            const response = await fetch(file);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+            return { file, json: await response.json() };
+        }
+        return { file, json: JSON.parse(await fs.promises.readFile(file, 'utf8')) };
+    }
+    return { file, ...await loadGguf(file, options, loadOptions) };
+}
+
+/**
+ * Loads one GGUF file. For validate, a header too broken to parse isn't a load error but an unreadable finding, as GgufMetadata.validateFile
+ * reports it, so the exit code says validation failed.
+ * @returns {Promise<{metadata: GgufMetadata|null, findings: GgufFinding[]|undefined}>} findings is only set for validate
+ */
+async function loadGguf(file, options, loadOptions) {
+    if (options.command === 'validate') {
+        return GgufMetadata.validateFile(file, loadOptions);
+    }
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(file, null, loadOptions);
+    return { metadata, findings: undefined };
+}
+
+function escapeCsv(value) {
+    const text = `${value ?? ''}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeMarkdown(value) {
+    return `${value ?? ''}`.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function getColumns(rows) {
+    return [...new Set(rows.flatMap(row => Object.keys(row)))];
+}
+
+/**
+ * Writes the results in the chosen format. CSV is one table with a file column so output from many files can be loaded at once;
+ * the other formats group rows under each file.
+ */
+function writeResults(results, format, write) {
+    if (format === 'json') {
+        const data = results.map(result => result.error ? { file: result.file, error: result.error } : { file: result.file, ...result.data });
+        write(JSON.stringify(data, jsonReplacer, 2) + '\n');
+        return;
+    }
+
+    if (format === 'csv') {
+        const rows = results.flatMap(result => result.error ? [{ file: result.file, error: result.error }] : result.rows.map(row => ({ file: result.file, ...row })));
+        const columns = getColumns(rows);
+        write(columns.map(escapeCsv).join(',') + '\n');
+        rows.forEach(row => write(columns.map(column => escapeCsv(row[column])).join(',') + '\n'));
+        return;
+    }
+
+    for (const result of results) {
+        if (format === 'md') {
+            write(`## ${escapeMarkdown(result.file)}\n\n`);
+            if (result.error) {
+                write(`**Error:** ${escapeMarkdown(result.error)}\n\n`);
+                continue;
+            }
+            const columns = getColumns(result.rows);
+            write(`| ${columns.map(escapeMarkdown).join(' | ')} |\n`);
+            write(`| ${columns.map(() => '---').join(' | ')} |\n`);
+            result.rows.forEach(row => write(`| ${columns.map(column => escapeMarkdown(row[column])).join(' | ')} |\n`));
+            write('\n');
+        } else {
+            write(`== ${result.file} ==\n`);
+            if (result.error) {
+                write(`Error: ${result.error}\n\n`);
+                continue;
+            }
+            // Single-row results read better as key: value lines; longer ones as aligned columns
+            if (result.rows.length === 1) {
+                Object.entries(result.rows[0]).forEach(([key, value]) => write(`${key}: ${value}\n`));
+            } else {
+                const columns = getColumns(result.rows);
+                const widths = columns.map(column => Math.max(column.length, ...result.rows.map(row => `${row[column] ?? ''}`.length)));
+                write(columns.map((column, i) => column.padEnd(widths[i])).join('  ').trimEnd() + '\n');
+                result.rows.forEach(row => write(columns.map((column, i) => `${row[column] ?? ''}`.padEnd(widths[i])).join('  ').trimEnd() + '\n'));
+            }
+            write('\n');
+        }
+    }
+}
+
+async function main(argv) {
+    let options;
+    try {
+        options = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${usage}\n`);
+        return ExitCode.USAGE_ERROR;
+    }
+    if (options.help) {
+        process.stdout.write(usage + '\n');
+        return ExitCode.SUCCESS;
+    }
+    if (!options.inputs.length) {
+        process.stderr.write(usage + '\n');
+        return ExitCode.USAGE_ERROR;
+    }
+
+    const files = [...new Set(options.inputs.flatMap(expandGlob))];
+    if (!files.length) {
+        process.stderr.write(`No files matched ${options.inputs.join(' ')}\n`);
+        return ExitCode.NO_FILES;
+    }
+
+    const results = [];
+    let exitCode = ExitCode.SUCCESS;
+    for (const group of groupSplitFiles(files)) {
+        let file = group[0];
+        try {
+            const input = await loadInput(group, options);
+            file = input.file;
+            input.metadata?.splitProblems?.forEach(problem => process.stderr.write(`${file}: ${problem}\n`));
+            const result = await commandHandlers[options.command](input, options);
+            results.push({ file, ...result });
+            if (result.fits === false && exitCode === ExitCode.SUCCESS) {
+                exitCode = ExitCode.PLAN_DOES_NOT_FIT;
+            }
+            if (result.valid === false && exitCode === ExitCode.SUCCESS) {
+                exitCode = ExitCode.VALIDATION_FAILED;
+            }
+        } catch (error) {
+            results.push({ file, error: error.message });
+            exitCode = ExitCode.FILE_ERROR;
+        }
+    }
+
+    writeResults(results, options.format, text => process.stdout.write(text));
+    return exitCode;
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => { process.exitCode = code; });
+}
+
+module.exports = { main, parseArgs, expandGlob, ExitCode };
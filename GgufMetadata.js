@@ -1,5 +1,5 @@
 /**
- * Loads metadata (excluding arrays) and tensor metadata from a GGUF v3 file according to the specification at https://github.com/ggerganov/ggml/blob/master/docs/gguf.md
+ * Loads metadata (including arrays) and tensor metadata from a GGUF v1, v2, or v3 file, little- or big-endian, according to the specification at https://github.com/ggerganov/ggml/blob/master/docs/gguf.md
  */
 class GgufMetadata {
     constructor() {
@@ -17,110 +17,323 @@ class GgufMetadata {
         this.int64Values = {};
         this.float64Values = {};
 
+        /**
+         * Arrays are kept separately, keyed the same way, as GgufArray instances. Arrays longer than the maxArrayLength load option
+         * (or all arrays, if lazyArrays was set) are recorded with their element type and length but no values until loadArray is called.
+         */
+        this.arrayValues = {};
+
         /**
          * For use at design-time to help you figure out the appropriate types for the values you're seeking.
          */
         this.valueTypes = {};
 
         this.tensors = [];
-        
+
+        /**
+         * Set by mergeShards on a model merged from split files: the shards in split.no order, their file names, and any
+         * problems validateShards found with the set. Null for a single file.
+         */
+        this.shards = null;
+        this.shardFileNames = null;
+        this.splitProblems = null;
+
+        /**
+         * Alignment of the tensor data, from general.alignment, and the file offset where the tensor data section starts.
+         * TensorInfo.offset values are relative to dataOffset.
+         */
+        this.alignment = 32;
+        this.dataOffset = 0;
+
+        /**
+         * The GGUF format version (1, 2, or 3) and byte order ('little' or 'big') of the file. v1 used 32-bit counts and lengths
+         * where v2 and later use 64-bit ones; big-endian files, for hosts like s390x, store every number byte-swapped.
+         */
+        this.version = 0;
+        this.endianness = 'little';
+        this.littleEndian = true;
+        this.sizeBytes = 8; // Width of counts, string lengths, array lengths, and dimensions: 4 in v1, 8 after
+
+        /**
+         * Problems noticed while parsing that don't stop it, like duplicate keys and invalid UTF-8; validate() reports them with the
+         * checks that need the whole header.
+         * @type {GgufFinding[]}
+         */
+        this.parseFindings = [];
+
+        this.reader = null;
         this.chunk = null;
+        this.chunkStart = 0; // File offset of the first byte in chunk
         this.view = null;
+        this.textDecoder = new TextDecoder('utf-8');
+        this.strictTextDecoder = new TextDecoder('utf-8', { fatal: true });
         this.lastWaitTime = Date.now();
+        this.maxArrayLength = Infinity;
+        this.lazyArrays = false;
+
+        /**
+         * The waiter passed to loadFromFile, kept for the reads that come later (loadArray, writeTo), and the progress callback and
+         * AbortSignal, which only apply while loadFromFile runs.
+         */
+        this.waiter = null;
+        this.onProgress = null;
+        this.signal = null;
+
+        /**
+         * How far loadFromFile has got, as passed to its onProgress callback.
+         * @type {GgufLoadProgress}
+         */
+        this.progress = { bytesRead: 0, totalBytes: 0, keyValuesParsed: 0, keyValueCount: 0, tensorsParsed: 0, tensorCount: 0 };
+
+        /**
+         * Why loadInWorker parsed the file on the calling thread instead of in a worker, or null if it didn't. Left to the caller to log.
+         * @type {string|null}
+         */
+        this.workerFallbackReason = null;
     }
 
     /**
-     * Loads GGUF metadata from a File object
-     * @param {File} file - The GGUF file to parse
+     * Loads GGUF metadata from a browser File/Blob, an http(s) URL, or, in Node.js, a file path, file descriptor, or Buffer.
+     * Only the header is read, in growing chunks, so large files are never copied into memory whole.
+     * @param {File|Blob|string|URL|number|Uint8Array|ArrayBuffer|GgufReader} file - The GGUF file to parse; see createGgufReader
+     * @param {Function} [waiter] - Called periodically so long loads can yield to the UI
+     * @param {object} [options]
+     * @param {number} [options.maxArrayLength=Infinity] - Arrays with more elements than this are skipped and left for loadArray
+     * @param {boolean} [options.lazyArrays=false] - If true, no array values are read up front, only their types and lengths
+     * @param {function(GgufLoadProgress): void} [options.onProgress] - Called every 100ms or so while the header is parsed, and once at the end
+     * @param {AbortSignal} [options.signal] - Stops the load, which then rejects with the signal's reason
      */
-    async loadFromFile(file, waiter) {
+    async loadFromFile(file, waiter, options = {}) {
+        const reader = this.reader = createGgufReader(file);
+        this.maxArrayLength = options.maxArrayLength ?? Infinity;
+        this.lazyArrays = !!options.lazyArrays;
+        this.waiter = waiter ?? null;
+        this.onProgress = options.onProgress ?? null;
+        this.signal = options.signal ?? null;
+        this.progress = { bytesRead: 0, totalBytes: 0, keyValuesParsed: 0, keyValueCount: 0, tensorsParsed: 0, tensorCount: 0 };
+
+        try {
+            this.signal?.throwIfAborted();
+            await reader.open?.();
+            this.progress.totalBytes = reader.size;
+            await this._readHeader(reader);
+            this.onProgress?.({ ...this.progress });
+        } finally {
+            this.onProgress = null;
+            this.signal = null;
+            // Readers that opened a file by path release it now; they reopen it if loadArray needs it later
+            await reader.release?.();
+        }
+    }
+
+    async _readHeader(reader) {
         // Read a much larger initial chunk - most GGUF headers are under 1MB
         // but let's be generous and read 5MB to avoid most re-reads
-        const initialChunkSize = Math.min(5 * 1024 * 1024, file.size); // 5MB or file size, whichever is smaller
-        this.chunk = await this._readFileSlice(file, 0, initialChunkSize);
+        const initialChunkSize = Math.min(5 * 1024 * 1024, reader.size); // 5MB or file size, whichever is smaller
+        this.chunk = await reader.read(0, initialChunkSize);
+        this.chunkStart = 0;
+        this.progress.bytesRead = this.chunk.byteLength;
         this.view = new DataView(this.chunk);
+        this.parseFindings = [];
         let offset = 0;
 
+        // A truncated or corrupted header shows up as a read past the end of the buffer; say where instead of passing on the RangeError
+        let section = 'the file header';
+        let sectionOffset = 0;
+        try {
+            offset = await this._readHeaderSections(reader, offset, (description, start) => {
+                section = description;
+                sectionOffset = start;
+            });
+        } catch (error) {
+            if (error instanceof RangeError) {
+                throw Object.assign(new Error(`Couldn't read ${section} at byte ${sectionOffset} of ${reader.size}: the header runs past the end ` +
+                    `of the file or is corrupted (${error.message}).`), { offset: sectionOffset });
+            }
+            throw error;
+        }
+
+        // The tensor data starts at the next multiple of the alignment after the tensor infos
+        this.alignment = this.uint32Values['general.alignment'] || 32;
+        this.dataOffset = Math.ceil(offset / this.alignment) * this.alignment;
+    }
+
+    /**
+     * Reads the magic, version, counts, key-value pairs, and tensor infos, calling onSection before each part so errors can say where
+     * they happened.
+     * @returns {Promise<number>} The offset just past the last tensor info
+     */
+    async _readHeaderSections(reader, offset, onSection) {
         // Check magic number
-        const magic = this.view.getUint32(offset, true); // little-endian
+        const magic = this.view.getUint32(offset, true); // Always little-endian
         if (magic !== 0x46554747) { // 'GGUF' in little-endian
             throw new Error("Not a GGUF file.");
         }
         offset += 4;
 
-        const version = this.view.getInt32(offset, true);
-        if (version !== 3) {
-            throw new Error(`Unsupported GGUF version ${version}. This class only supports v3.`);
+        // The magic is always written in little-endian byte order, but everything after it is in the file's byte order. A small version
+        // number read the wrong way round has its low 16 bits all zero, which is how gguf-py's reader tells the two apart too.
+        const versionLittleEndian = this.view.getUint32(offset, true);
+        const versionBigEndian = this.view.getUint32(offset, false);
+        this.littleEndian = (versionLittleEndian & 0xFFFF) !== 0;
+        this.endianness = this.littleEndian ? 'little' : 'big';
+        this.version = this.littleEndian ? versionLittleEndian : versionBigEndian;
+        if (this.version < 1 || this.version > 3) {
+            throw new Error(`Unsupported GGUF version ${this.version} (${versionLittleEndian} read as little-endian, ${versionBigEndian} as big-endian). ` +
+                "This class supports v1, v2, and v3.");
         }
+        this.sizeBytes = this.version === 1 ? 4 : 8;
         offset += 4;
 
-        const tensorCount = this._readUint64(offset);
-        offset += 8;
+        onSection('the tensor and key-value counts', offset);
+        const tensorCount = this._readSize(offset);
+        offset += this.sizeBytes;
 
-        const metadataCount = this._readUint64(offset);
-        offset += 8;
+        const metadataCount = this._readSize(offset);
+        offset += this.sizeBytes;
+        this.progress.tensorCount = Number(tensorCount);
+        this.progress.keyValueCount = Number(metadataCount);
 
         // Read metadata
         for (let x = 0; x < Number(metadataCount); x++) {
-            await this._ensureDataAvailable(file, offset, 1024); // Ensure more generous buffer
-            offset = await this._readMetadataKeyValuePair(file, offset);
+            onSection(`metadata key-value pair ${x + 1} of ${metadataCount}`, offset);
+            await this._ensureDataAvailable(reader, offset, 1024); // Ensure more generous buffer
+            offset = await this._readMetadataKeyValuePair(reader, offset);
+            this.progress.keyValuesParsed = x + 1;
             await this._maybeWait();
         }
 
         // Read tensor metadata
         this.tensors = [];
         for (let i = 0; i < Number(tensorCount); i++) {
-            await this._ensureDataAvailable(file, offset, 1024); // Ensure space for tensor metadata
+            onSection(`tensor info ${i + 1} of ${tensorCount}`, offset);
+            await this._ensureDataAvailable(reader, offset, 1024); // Ensure space for tensor metadata
             
-            const tensorResult = await this._readTensorInfo(file, offset);
+            const tensorResult = await this._readTensorInfo(reader, offset);
             this.tensors.push(tensorResult.tensor);
             offset = tensorResult.offset;
+            this.progress.tensorsParsed = i + 1;
             await this._maybeWait();
         }
+        return offset;
     }
 
+    /**
+     * Called between values during long reads: stops if the load was aborted, and every 100ms reports progress and lets the waiter
+     * yield to the UI.
+     */
     async _maybeWait() {
-        if (typeof waiter === 'function' && Date.now() - this.lastWaitTime >= 100) {
-            await waiter();
+        this.signal?.throwIfAborted();
+        if (Date.now() - this.lastWaitTime >= 100) {
+            this.onProgress?.({ ...this.progress });
+            if (typeof this.waiter === 'function') {
+                await this.waiter();
+            }
             this.lastWaitTime = Date.now();
+            this.signal?.throwIfAborted();
         }
     }
 
-    async _readFileSlice(file, start, length) {
-        const slice = file.slice(start, start + length);
-        return await slice.arrayBuffer();
-    }
-
-    async _ensureDataAvailable(file, offset, minBytesNeeded) {
-        if (offset + minBytesNeeded <= this.chunk.byteLength) {
+    /**
+     * Makes sure the bytes from offset to offset + minBytesNeeded are in the buffer. The buffer is a window onto the file starting at
+     * chunkStart; when it has to move forward, the bytes it already has from offset onward are kept and only the rest is read,
+     * plus up to a megabyte more so that reading many small values doesn't mean many small reads.
+     */
+    async _ensureDataAvailable(reader, offset, minBytesNeeded) {
+        const chunkEnd = this.chunkStart + this.chunk.byteLength;
+        const neededEnd = Math.min(offset + minBytesNeeded, reader.size);
+        if (offset >= this.chunkStart && neededEnd <= chunkEnd) {
             return;
         }
 
-        // Need to read more data - double the size or add 1MB, whichever is larger
-        const currentSize = this.chunk.byteLength;
-        const neededSize = offset + minBytesNeeded;
-        const newSize = Math.max(currentSize * 2, neededSize + 1024 * 1024); // At least 1MB extra buffer
-        const finalSize = Math.min(newSize, file.size);
-        
-        // Only re-read if we actually need more data
-        if (finalSize > currentSize) {
-            this.chunk = await this._readFileSlice(file, 0, finalSize);
-            this.view = new DataView(this.chunk);
-            return;
+        const readEnd = Math.min(reader.size, Math.max(neededEnd, offset + 1024 * 1024));
+        if (offset >= this.chunkStart && offset <= chunkEnd) {
+            // Keep the overlap and append only the new bytes
+            const newBytes = new Uint8Array(await reader.read(chunkEnd, readEnd - chunkEnd));
+            this.progress.bytesRead += newBytes.byteLength;
+            const combined = new Uint8Array(chunkEnd - offset + newBytes.byteLength);
+            combined.set(new Uint8Array(this.chunk, offset - this.chunkStart));
+            combined.set(newBytes, chunkEnd - offset);
+            this.chunk = combined.buffer;
+        } else {
+            // Jumping backward (e.g., loadArray) or past the end of the buffer: start a fresh window
+            this.chunk = await reader.read(offset, readEnd - offset);
+            this.progress.bytesRead += this.chunk.byteLength;
         }
+        this.chunkStart = offset;
+        this.view = new DataView(this.chunk);
+    }
+
+    // Typed reads at file offsets, which must already be in the buffer (see _ensureDataAvailable)
+    _readUint8(offset) {
+        return this.view.getUint8(offset - this.chunkStart);
+    }
+
+    _readInt8(offset) {
+        return this.view.getInt8(offset - this.chunkStart);
+    }
+
+    _readUint16(offset) {
+        return this.view.getUint16(offset - this.chunkStart, this.littleEndian);
+    }
+
+    _readInt16(offset) {
+        return this.view.getInt16(offset - this.chunkStart, this.littleEndian);
+    }
+
+    _readUint32(offset) {
+        return this.view.getUint32(offset - this.chunkStart, this.littleEndian);
+    }
+
+    _readInt32(offset) {
+        return this.view.getInt32(offset - this.chunkStart, this.littleEndian);
+    }
+
+    _readFloat32(offset) {
+        return this.view.getFloat32(offset - this.chunkStart, this.littleEndian);
+    }
+
+    _readFloat64(offset) {
+        return this.view.getFloat64(offset - this.chunkStart, this.littleEndian);
     }
 
     _readUint64(offset) {
-        return this.view.getBigUint64(offset, true);
+        return this.view.getBigUint64(offset - this.chunkStart, this.littleEndian);
     }
 
     _readInt64(offset) {
-        return this.view.getBigInt64(offset, true);
+        return this.view.getBigInt64(offset - this.chunkStart, this.littleEndian);
     }
 
-    async _readString(file, offset) {
-        const length = this._readUint64(offset);
-        offset += 8;
+    /**
+     * Reads a count, string length, array length, or tensor dimension, which is 32 bits in GGUF v1 and 64 bits after. Advance by sizeBytes.
+     * @returns {bigint}
+     */
+    _readSize(offset) {
+        return this.sizeBytes === 4 ? BigInt(this._readUint32(offset)) : this._readUint64(offset);
+    }
+
+    _getBytes(offset, length) {
+        return new Uint8Array(this.chunk, offset - this.chunkStart, length);
+    }
+
+    /**
+     * Reverses the bytes of each elementSize-byte element in place, turning big-endian values into the little-endian order typed arrays
+     * use on every platform browsers and Node.js run on.
+     */
+    static _swapByteOrder(bytes, elementSize) {
+        for (let start = 0; start < bytes.length; start += elementSize) {
+            for (let low = start, high = start + elementSize - 1; low < high; low++, high--) {
+                const byte = bytes[low];
+                bytes[low] = bytes[high];
+                bytes[high] = byte;
+            }
+        }
+    }
+
+    async _readString(reader, offset) {
+        const length = this._readSize(offset);
+        offset += this.sizeBytes;
 
         // Convert BigInt to number for byte operations
         const lengthNum = Number(length);
@@ -129,19 +342,33 @@ class GgufMetadata {
         }
 
         // Ensure we have enough data for the string
-        if (offset + lengthNum > this.chunk.byteLength) {
-            await this._ensureDataAvailable(file, offset, lengthNum);
-        }
+        await this._ensureDataAvailable(reader, offset, lengthNum);
 
-        const bytes = new Uint8Array(this.chunk, offset, lengthNum);
-        const string = new TextDecoder('utf-8').decode(bytes);
+        const string = this._decodeString(this._getBytes(offset, lengthNum), offset);
         return { string, newOffset: offset + lengthNum };
     }
 
-    async _readMetadataKeyValuePair(file, offset) {
+    /**
+     * Decodes UTF-8, noting a parse finding if the bytes aren't valid UTF-8. The lenient decoder substitutes U+FFFD for bad sequences,
+     * so only strings that contain one need the strict check.
+     */
+    _decodeString(bytes, offset) {
+        const string = this.textDecoder.decode(bytes);
+        if (string.includes('\uFFFD')) {
+            try {
+                this.strictTextDecoder.decode(bytes);
+            } catch {
+                this.parseFindings.push({ severity: 'error', code: 'invalid-utf8', offset, message: `The string at byte ${offset} isn't valid UTF-8.` });
+            }
+        }
+        return string;
+    }
+
+    async _readMetadataKeyValuePair(reader, offset) {
+        const keyOffset = offset;
         // Read key string
-        const keyLength = this._readUint64(offset);
-        offset += 8;
+        const keyLength = this._readSize(offset);
+        offset += this.sizeBytes;
 
         const keyLengthNum = Number(keyLength);
         if (keyLengthNum > Number.MAX_SAFE_INTEGER) {
@@ -149,65 +376,63 @@ class GgufMetadata {
         }
 
         // Ensure we have enough data for the key
-        if (offset + keyLengthNum > this.chunk.byteLength) {
-            await this._ensureDataAvailable(file, offset, keyLengthNum + 32); // Extra buffer for value type
-        }
+        await this._ensureDataAvailable(reader, offset, keyLengthNum + 32); // Extra buffer for value type
 
-        const keyBytes = new Uint8Array(this.chunk, offset, keyLengthNum);
-        const key = new TextDecoder('utf-8').decode(keyBytes);
+        const key = this._decodeString(this._getBytes(offset, keyLengthNum), offset);
         offset += keyLengthNum;
+        if (Object.prototype.hasOwnProperty.call(this.valueTypes, key)) {
+            this.parseFindings.push({ severity: 'error', code: 'duplicate-key', offset: keyOffset, message: `The key ${key} appears more than once; the last value is kept.` });
+        }
 
         // Ensure we have the value type
-        if (offset + 4 > this.chunk.byteLength) {
-            await this._ensureDataAvailable(file, offset, 32);
-        }
+        await this._ensureDataAvailable(reader, offset, 32);
 
-        const valueType = this.view.getUint32(offset, true);
+        const valueType = this._readUint32(offset);
         offset += 4;
 
         switch (valueType) {
             case GgufMetadataValueType.UINT8:
-                this.uint8Values[key] = this.view.getUint8(offset);
+                this.uint8Values[key] = this._readUint8(offset);
                 this.valueTypes[key] = 'uint8';
                 offset += 1;
                 break;
             case GgufMetadataValueType.INT8:
-                this.int8Values[key] = this.view.getInt8(offset);
+                this.int8Values[key] = this._readInt8(offset);
                 this.valueTypes[key] = 'int8';
                 offset += 1;
                 break;
             case GgufMetadataValueType.UINT16:
-                this.uint16Values[key] = this.view.getUint16(offset, true);
+                this.uint16Values[key] = this._readUint16(offset);
                 this.valueTypes[key] = 'uint16';
                 offset += 2;
                 break;
             case GgufMetadataValueType.INT16:
-                this.int16Values[key] = this.view.getInt16(offset, true);
+                this.int16Values[key] = this._readInt16(offset);
                 this.valueTypes[key] = 'int16';
                 offset += 2;
                 break;
             case GgufMetadataValueType.UINT32:
-                this.uint32Values[key] = this.view.getUint32(offset, true);
+                this.uint32Values[key] = this._readUint32(offset);
                 this.valueTypes[key] = 'uint32';
                 offset += 4;
                 break;
             case GgufMetadataValueType.INT32:
-                this.int32Values[key] = this.view.getInt32(offset, true);
+                this.int32Values[key] = this._readInt32(offset);
                 this.valueTypes[key] = 'int32';
                 offset += 4;
                 break;
             case GgufMetadataValueType.FLOAT32:
-                this.float32Values[key] = this.view.getFloat32(offset, true);
+                this.float32Values[key] = this._readFloat32(offset);
                 this.valueTypes[key] = 'float32';
                 offset += 4;
                 break;
             case GgufMetadataValueType.BOOL:
-                this.boolValues[key] = this.view.getUint8(offset) !== 0;
+                this.boolValues[key] = this._readUint8(offset) !== 0;
                 this.valueTypes[key] = 'bool';
                 offset += 1;
                 break;
             case GgufMetadataValueType.STRING:
-                const stringResult = await this._readString(file, offset);
+                const stringResult = await this._readString(reader, offset);
                 this.stringValues[key] = stringResult.string;
                 this.valueTypes[key] = 'string';
                 offset = stringResult.newOffset;
@@ -223,13 +448,15 @@ class GgufMetadata {
                 offset += 8;
                 break;
             case GgufMetadataValueType.FLOAT64:
-                this.float64Values[key] = this.view.getFloat64(offset, true);
+                this.float64Values[key] = this._readFloat64(offset);
                 this.valueTypes[key] = 'float64';
                 offset += 8;
                 break;
             case GgufMetadataValueType.ARRAY:
-                // Skip arrays entirely.
-                offset = await this._skipArray(file, offset);
+                const arrayResult = await this._readArray(reader, offset, this.lazyArrays ? 0 : this.maxArrayLength);
+                this.arrayValues[key] = arrayResult.array;
+                this.valueTypes[key] = arrayResult.array.getTypeName();
+                offset = arrayResult.offset;
                 break;
             default:
                 throw new Error(`Unknown metadata value type: ${valueType}`);
@@ -238,10 +465,269 @@ class GgufMetadata {
         return offset;
     }
 
+    /**
+     * Reads an array header and, if it has no more than maxLength elements, its values.
+     * Longer arrays are skipped, leaving a GgufArray with values === null that can be filled in later by loadArray.
+     */
+    async _readArray(reader, offset, maxLength) {
+        // Ensure we have data for array header
+        await this._ensureDataAvailable(reader, offset, 12);
+
+        const elementType = this._readUint32(offset);
+        const length = this._readSize(offset + 4);
+        const lengthNum = Number(length);
+        if (lengthNum > Number.MAX_SAFE_INTEGER) {
+            throw new Error("Array length too large for JavaScript");
+        }
+
+        const array = new GgufArray(elementType, lengthNum, offset);
+        if (lengthNum > maxLength) {
+            return { array, offset: await this._skipArray(reader, offset) };
+        }
+
+        offset += 4 + this.sizeBytes;
+        const elementSize = GgufArray.getElementSize(elementType);
+        if (elementSize) {
+            // Fixed-size elements can be copied out in one go. slice() also takes care of typed array alignment requirements.
+            const byteLength = lengthNum * elementSize;
+            await this._ensureDataAvailable(reader, offset, byteLength);
+            const bytes = this.chunk.slice(offset - this.chunkStart, offset - this.chunkStart + byteLength);
+            if (!this.littleEndian && elementSize > 1) {
+                GgufMetadata._swapByteOrder(new Uint8Array(bytes), elementSize);
+            }
+            array.values = elementType === GgufMetadataValueType.BOOL
+                ? Array.from(new Uint8Array(bytes), b => b !== 0)
+                : new (GgufArray.getTypedArrayConstructor(elementType))(bytes);
+            return { array, offset: offset + byteLength };
+        }
+
+        const values = [];
+        for (let i = 0; i < lengthNum; i++) {
+            if (elementType === GgufMetadataValueType.STRING) {
+                await this._ensureDataAvailable(reader, offset, 8);
+                const stringResult = await this._readString(reader, offset);
+                values.push(stringResult.string);
+                offset = stringResult.newOffset;
+            } else if (elementType === GgufMetadataValueType.ARRAY) {
+                const nestedResult = await this._readArray(reader, offset, Infinity);
+                values.push(nestedResult.array);
+                offset = nestedResult.offset;
+            } else {
+                throw new Error(`Unknown metadata value type: ${elementType}`);
+            }
+            if (i % 4096 === 4095) await this._maybeWait();
+        }
+        array.values = values;
+        return { array, offset };
+    }
+
+    /**
+     * Reads the values of an array that was skipped during loadFromFile because of the maxArrayLength or lazyArrays options.
+     * @param {string} key - The metadata key of the array
+     * @returns {Promise<GgufArray>} The same GgufArray that's in arrayValues, now with its values filled in.
+     */
+    async loadArray(key) {
+        const array = this.arrayValues[key];
+        if (!array) {
+            throw new Error(`No array with key ${key}`);
+        }
+        if (array.values === null) {
+            if (!this.reader) {
+                throw new Error("The source file is no longer available to read the array from.");
+            }
+            try {
+                const result = await this._readArray(this.reader, array.offset, Infinity);
+                array.values = result.array.values;
+            } finally {
+                await this.reader.release?.();
+            }
+        }
+        return array;
+    }
+
+    /**
+     * Reads whole rows of a tensor's raw data from the file, or from its shard's file for a merged split model. Tensor data is only
+     * ever read on request, since it's most of the file.
+     * @param {TensorInfo} tensor - One of this model's tensors
+     * @param {number} [firstRow=0] - The first row (run of dimensions[0] weights) to read
+     * @param {number} [rowCount] - How many rows to read; the rest of the tensor by default
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async readTensorBytes(tensor, firstRow = 0, rowCount = undefined) {
+        const source = this.shards?.[tensor.shard] ?? this;
+        if (!source.reader) {
+            throw new Error("The source file is no longer available to read the tensor from.");
+        }
+        const rowBytes = this._getRowBytes(tensor);
+        rowCount ??= tensor.getElementCount() / Number(tensor.dimensions[0] ?? 1) - firstRow;
+        const start = source.dataOffset + Number(tensor.offset) + firstRow * rowBytes;
+        try {
+            const bytes = await source.reader.read(start, rowCount * rowBytes);
+            if (bytes.byteLength < rowCount * rowBytes) {
+                throw new Error(`${tensor.name}'s data runs past the end of the file at byte ${start + bytes.byteLength}. The file may be truncated.`);
+            }
+            return bytes;
+        } finally {
+            await source.reader.release?.();
+        }
+    }
+
+    /**
+     * Reads a tensor's weights as floats, dequantizing them. Large tensors can be sampled: with maxElements set, whole rows are read
+     * in up to 64 evenly spaced runs, so the sample covers the whole tensor rather than its first rows.
+     * @param {TensorInfo} tensor - One of this model's tensors, of a type in TensorDequantizers
+     * @param {object} [options]
+     * @param {number} [options.maxElements=Infinity] - Read about this many weights at most; at least one row is always read
+     * @returns {Promise<Float32Array>}
+     */
+    async readTensorValues(tensor, { maxElements = Infinity } = {}) {
+        if (!TensorDequantizers[tensor.type]) {
+            dequantizeTensorData(tensor.type, new ArrayBuffer(0)); // Throws, listing the types that are supported
+        }
+        const rowLength = Number(tensor.dimensions[0] ?? 1);
+        const rowCount = tensor.getElementCount() / rowLength;
+        const sampledRows = Math.min(rowCount, Math.max(1, Math.floor(maxElements / rowLength)));
+        const runCount = sampledRows < rowCount ? Math.min(64, sampledRows) : 1;
+        // Large runs are read 16MB at a time so the raw bytes never need much more memory than the floats
+        const rowsPerRead = Math.max(1, Math.floor(16 * 1024 * 1024 / this._getRowBytes(tensor)));
+        const values = new Float32Array(sampledRows * rowLength);
+        let outputRow = 0;
+        for (let run = 0; run < runCount; run++) {
+            const runRows = Math.floor(sampledRows * (run + 1) / runCount) - Math.floor(sampledRows * run / runCount);
+            const firstRow = Math.floor(rowCount * run / runCount);
+            for (let row = 0; row < runRows; row += rowsPerRead) {
+                const rows = Math.min(rowsPerRead, runRows - row);
+                dequantizeTensorData(tensor.type, await this.readTensorBytes(tensor, firstRow + row, rows), this.littleEndian, values, outputRow * rowLength);
+                outputRow += rows;
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Reads a tensor's weights, or a sample of them (see readTensorValues), and computes their statistics with computeTensorStats.
+     * @param {TensorInfo} tensor - One of this model's tensors, of a type in TensorDequantizers
+     * @param {object} [options] - See readTensorValues
+     * @returns {Promise<TensorStats & {elementCount: number, sampled: boolean}>} count is the number of weights read, and elementCount the
+     * number in the tensor
+     */
+    async getTensorStats(tensor, options = {}) {
+        const values = await this.readTensorValues(tensor, options);
+        return { ...computeTensorStats(values), elementCount: tensor.getElementCount(), sampled: values.length < tensor.getElementCount() };
+    }
+
+    _getRowBytes(tensor) {
+        const { blockSize, typeSize } = GgmlTypes[tensor.type] ?? {};
+        const rowLength = Number(tensor.dimensions[0] ?? 1);
+        if (!blockSize || rowLength % blockSize !== 0) {
+            throw new Error(`${tensor.name}'s rows aren't whole ${getGgmlTypeName(tensor.type)} blocks, so its data can't be read.`);
+        }
+        return rowLength / blockSize * typeSize;
+    }
+
+    /**
+     * Serializes the header, the inverse of loadFromFile: the key-value pairs in valueTypes order, then the tensor infos with their data
+     * offsets recomputed the way llama.cpp lays them out (in order, each padded to general.alignment), then padding up to the data.
+     * It's written in the file's own version and byte order, so the header of a file that wasn't edited comes out byte-identical,
+     * unless the original had duplicate keys, invalid UTF-8, or its tensor data in some other layout. Every array must be loaded.
+     * @returns {{bytes: Uint8Array, tensorOffsets: number[]}} The header, and each tensor's offset in the new data section
+     */
+    createHeader() {
+        const alignment = this.uint32Values['general.alignment'] || 32;
+        const tensorOffsets = [];
+        let dataSize = 0;
+        for (const tensor of this.tensors) {
+            const size = tensor.getByteSize();
+            if (isNaN(size)) {
+                throw new Error(`${tensor.name} has unknown tensor type ${tensor.type}, so its data can't be laid out.`);
+            }
+            tensorOffsets.push(dataSize);
+            dataSize += Math.ceil(size / alignment) * alignment;
+        }
+
+        const writer = new GgufHeaderWriter(this.littleEndian, this.sizeBytes);
+        writer.writeUint32(0x46554747, true); // 'GGUF', always little-endian
+        writer.writeUint32(this.version);
+        writer.writeSize(this.tensors.length);
+        writer.writeSize(Object.keys(this.valueTypes).length);
+        for (const [key, typeName] of Object.entries(this.valueTypes)) {
+            const value = this.getValue(key);
+            if (value instanceof GgufArray && !value.loaded) {
+                throw new Error(`The array ${key} hasn't been loaded; call loadArray first.`);
+            }
+            writer.writeString(key);
+            const valueType = value instanceof GgufArray ? GgufMetadataValueType.ARRAY : GgufMetadataValueType[typeName.toUpperCase()];
+            writer.writeUint32(valueType);
+            writer.writeValue(valueType, value);
+        }
+        this.tensors.forEach((tensor, i) => {
+            writer.writeString(tensor.name);
+            writer.writeUint32(tensor.dimensions.length);
+            tensor.dimensions.forEach(dimension => writer.writeSize(dimension));
+            writer.writeUint32(tensor.type);
+            writer.writeUint64(tensorOffsets[i]);
+        });
+        writer.padTo(alignment);
+        return { bytes: writer.toUint8Array(), tensorOffsets };
+    }
+
+    /**
+     * Writes a copy of the file with the current metadata: the header from createHeader, then every tensor's data, copied from the
+     * original file 16MB at a time so a large model never has to fit in memory. Arrays that weren't loaded are loaded first.
+     * A merged split model can't be written; edit and save its shards one at a time.
+     * @param {function(Uint8Array): (Promise|void)} write - Called with each chunk of the new file, in order, and awaited
+     * @returns {Promise<number>} The size of the new file in bytes
+     */
+    async writeTo(write) {
+        if (this.shards) {
+            throw new Error("A merged split model can't be written as one file; edit and save its shards one at a time.");
+        }
+        for (const [key, array] of Object.entries(this.arrayValues)) {
+            if (!array.loaded) await this.loadArray(key);
+        }
+        const { bytes, tensorOffsets } = this.createHeader();
+        if (this.tensors.length && !this.reader) {
+            throw new Error("The source file is no longer available to copy the tensor data from.");
+        }
+
+        const alignment = this.uint32Values['general.alignment'] || 32;
+        await write(bytes);
+        let position = bytes.byteLength;
+        try {
+            for (let i = 0; i < this.tensors.length; i++) {
+                const tensor = this.tensors[i];
+                const size = tensor.getByteSize();
+                const start = bytes.byteLength + tensorOffsets[i];
+                if (start > position) {
+                    await write(new Uint8Array(start - position));
+                }
+                for (let copied = 0; copied < size; copied += 16 * 1024 * 1024) {
+                    const length = Math.min(16 * 1024 * 1024, size - copied);
+                    const chunk = new Uint8Array(await this.reader.read(this.dataOffset + Number(tensor.offset) + copied, length));
+                    if (chunk.byteLength < length) {
+                        throw new Error(`${tensor.name}'s data runs past the end of the source file. The file may be truncated.`);
+                    }
+                    await write(chunk);
+                    await this._maybeWait();
+                }
+                position = start + size;
+            }
+        } finally {
+            await this.reader?.release?.();
+        }
+
+        // Like llama.cpp and gguf-py, pad the last tensor too, so the file ends on an alignment boundary
+        const end = Math.ceil(position / alignment) * alignment;
+        if (end > position) {
+            await write(new Uint8Array(end - position));
+        }
+        return end;
+    }
+
     // Separate method for reading string values to avoid confusion with key reading
-    async _readStringValue(file, offset) {
-        const length = this._readUint64(offset);
-        offset += 8;
+    async _readStringValue(reader, offset) {
+        const length = this._readSize(offset);
+        offset += this.sizeBytes;
 
         const lengthNum = Number(length);
         if (lengthNum > Number.MAX_SAFE_INTEGER) {
@@ -249,33 +735,30 @@ class GgufMetadata {
         }
 
         // Ensure we have enough data for the string
-        if (offset + lengthNum > this.chunk.byteLength) {
-            await this._ensureDataAvailable(file, offset, lengthNum);
-        }
+        await this._ensureDataAvailable(reader, offset, lengthNum);
 
-        const bytes = new Uint8Array(this.chunk, offset, lengthNum);
-        const string = new TextDecoder('utf-8').decode(bytes);
+        const string = this._decodeString(this._getBytes(offset, lengthNum), offset);
         return { string, newOffset: offset + lengthNum };
     }
 
-    async _readTensorInfo(file, offset) {
-        const nameResult = await this._readString(file, offset);
+    async _readTensorInfo(reader, offset) {
+        const nameResult = await this._readString(reader, offset);
         const name = nameResult.string;
         offset = nameResult.newOffset;
 
         // Ensure we have enough data for tensor metadata
-        const result = await this._ensureDataAvailable(file, offset, 64);
+        const result = await this._ensureDataAvailable(reader, offset, 64);
 
-        const nDimensions = this.view.getUint32(offset, true);
+        const nDimensions = this._readUint32(offset);
         offset += 4;
 
         const dimensions = [];
         for (let d = 0; d < nDimensions; d++) {
-            dimensions.push(this._readUint64(offset));
-            offset += 8;
+            dimensions.push(this._readSize(offset));
+            offset += this.sizeBytes;
         }
 
-        const type = this.view.getUint32(offset, true);
+        const type = this._readUint32(offset);
         offset += 4;
 
         const tensorOffset = this._readUint64(offset);
@@ -285,14 +768,14 @@ class GgufMetadata {
         return { tensor, offset };
     }
 
-    async _skipArray(file, offset) {
+    async _skipArray(reader, offset) {
         // Ensure we have data for array header
-        await this._ensureDataAvailable(file, offset, 12);
+        await this._ensureDataAvailable(reader, offset, 12);
 
-        const elementType = this.view.getUint32(offset, true);
+        const elementType = this._readUint32(offset);
         offset += 4;
-        const length = this._readUint64(offset);
-        offset += 8;
+        const length = this._readSize(offset);
+        offset += this.sizeBytes;
 
         // Convert BigInt to number for loop
         const lengthNum = Number(length);
@@ -300,16 +783,20 @@ class GgufMetadata {
             throw new Error("Array length too large for JavaScript");
         }
 
+        // Fixed-size elements can be skipped without reading them at all
+        const elementSize = GgufArray.getElementSize(elementType);
+        if (elementSize) {
+            return offset + lengthNum * elementSize;
+        }
+
         for (let i = 0; i < lengthNum; i++) {
-            offset = await this._skipValue(file, offset, elementType);
+            offset = await this._skipValue(reader, offset, elementType);
+            if (i % 4096 === 4095) await this._maybeWait();
         }
         return offset;
     }
 
-    async _skipValue(file, offset, valueType) {
-        // Ensure we have enough data
-        await this._ensureDataAvailable(file, offset, 16);
-
+    async _skipValue(reader, offset, valueType) {
         switch (valueType) {
             case GgufMetadataValueType.UINT8:
             case GgufMetadataValueType.INT8:
@@ -331,11 +818,12 @@ class GgufMetadata {
                 offset += 8;
                 break;
             case GgufMetadataValueType.STRING:
-                const stringResult = await this._readString(file, offset);
-                offset = stringResult.newOffset;
+                // Only the length is needed to skip a string
+                await this._ensureDataAvailable(reader, offset, 8);
+                offset += this.sizeBytes + Number(this._readSize(offset));
                 break;
             case GgufMetadataValueType.ARRAY:
-                offset = await this._skipArray(file, offset);
+                offset = await this._skipArray(reader, offset);
                 break;
             default:
                 throw new Error(`Unknown metadata value type: ${valueType}`);
@@ -344,241 +832,2468 @@ class GgufMetadata {
     }
 
     /**
-     * Gets the list of tensors sorted in a hopefully optimal order for offloading to a GPU with limited VRAM.
-     * The priority is:
-     * 1. Foundational shared layers (embeddings, output norm, etc.).
-     * 2. Standard transformer block shared layers (including the MoE router `ffn_gate_inp`).
-     * 3. Expert layers (for MoE models), which are used less frequently.
-     * Within these groups, tensors are prioritized by computational cost (lower-bit quantizations first)
-     * and then by block number.
-     * @returns {TensorInfo[]} An ordered array of TensorInfo, from most important to least important to offload.
+     * Gets a metadata value by key without needing to know which per-type dictionary it's in.
+     * @param {string} key
+     * @returns {*} The value (a GgufArray for arrays), or undefined if the key isn't present.
      */
-    getTensorsForOffload() {
-        const isMoE = this._isMoeModel();
-
-        return this.tensors
-            .slice() // Create a copy to avoid mutating the original array
-            .sort((a, b) => {
-                const aPriority = this._getOffloadPriority(a, isMoE);
-                const bPriority = this._getOffloadPriority(b, isMoE);
-                
-                // Compare major priority first
-                if (aPriority.major !== bPriority.major) {
-                    return aPriority.major - bPriority.major;
-                }
-                
-                // Then sub priority
-                if (aPriority.sub !== bPriority.sub) {
-                    return aPriority.sub - bPriority.sub;
-                }
-                
-                // Then quantization priority
-                const aQuantPriority = this._getQuantizationPriority(a.type);
-                const bQuantPriority = this._getQuantizationPriority(b.type);
-                if (aQuantPriority !== bQuantPriority) {
-                    return aQuantPriority - bQuantPriority;
-                }
-                
-                // Then block number
-                const aBlockNum = a.getBlockNumber();
-                const bBlockNum = b.getBlockNumber();
-                if (aBlockNum !== bBlockNum) {
-                    return aBlockNum - bBlockNum;
-                }
-                
-                // Finally, name for stable sort
-                return a.name.localeCompare(b.name);
-            });
-    }
-
-    _isMoeModel() {
-        const arch = this.stringValues['general.architecture'];
-        if (!arch) {
-            return false;
+    getValue(key) {
+        for (const dict of [this.uint8Values, this.int8Values, this.uint16Values, this.int16Values, this.uint32Values, this.int32Values,
+            this.float32Values, this.boolValues, this.stringValues, this.uint64Values, this.int64Values, this.float64Values, this.arrayValues]) {
+            if (Object.prototype.hasOwnProperty.call(dict, key)) {
+                return dict[key];
+            }
         }
-
-        // Check for the expert_count key for the specific architecture
-        const expertCount = this.uint32Values[`${arch}.expert_count`];
-        return expertCount && expertCount > 0;
+        return undefined;
     }
 
     /**
-     * Assigns a tensor to a priority group for offloading, returning an object for multi-level sorting.
-     * major is the major group (foundational, shared, expert).
-     * sub is the sub-group (attention vs. FFN).
-     * Lower numbers indicate higher priority.
+     * Gets every metadata key with its type and value, in file order.
+     * @returns {{key: string, type: string, value: *}[]}
      */
-    _getOffloadPriority(tensor, isMoE) {
-        // Sub-priority levels within a major group
-        const attentionSubPriority = 0;
-        const ffnSubPriority = 1;
+    getEntries() {
+        return Object.entries(this.valueTypes).map(([key, type]) => ({ key, type, value: this.getValue(key) }));
+    }
 
-        // Major Priority 1: Foundational layers
-        if (!tensor.name.startsWith("blk.")) {
-            return { major: 1, sub: 0 };
+    /**
+     * Sets a metadata value. An existing key keeps its place in the key order, even if its type changes; a new key is added at the end.
+     * With writeTo, this is how a file gets a corrected chat template, EOS id, or name.
+     * @param {string} key
+     * @param {string} type - A scalar type name as in valueTypes, e.g., "uint32" or "string"; ignored when value is a GgufArray
+     * @param {*} value - A value for the type (see normalizeValue), or a GgufArray
+     */
+    setValue(key, type, value) {
+        if (!(value instanceof GgufArray)) {
+            value = GgufMetadata.normalizeValue(type, value);
         }
-
-        // Major Priority 3: Expert layers
-        if (isMoE && tensor.name.includes("_exp") && !tensor.name.includes("ffn_gate_inp")) {
-            return { major: 3, sub: 0 };
+        if (Object.prototype.hasOwnProperty.call(this.valueTypes, key)) {
+            delete this[GgufMetadata._getDictionaryName(this.valueTypes[key])][key];
         }
+        const typeName = value instanceof GgufArray ? value.getTypeName() : type;
+        this[GgufMetadata._getDictionaryName(typeName)][key] = value;
+        this.valueTypes[key] = typeName;
+    }
 
-        // Major Priority 2: Shared block layers. Now determine sub-priority.
-        if (tensor.name.includes(".attn_")) {
-            // Specifically prioritize attention-related layers
-            return { major: 2, sub: attentionSubPriority };
+    /**
+     * Removes a metadata key.
+     * @param {string} key
+     * @returns {boolean} Whether the key was there
+     */
+    removeValue(key) {
+        if (!Object.prototype.hasOwnProperty.call(this.valueTypes, key)) {
+            return false;
         }
-
-        // All other shared block layers (FFN, norms, etc.)
-        return { major: 2, sub: ffnSubPriority };
+        delete this[GgufMetadata._getDictionaryName(this.valueTypes[key])][key];
+        delete this.valueTypes[key];
+        return true;
     }
 
     /**
-     * Returns a priority score for a tensor type based on its computational complexity for dequantization.
-     * Lower scores indicate higher complexity and thus higher priority for GPU offloading.
+     * Checks and converts a value for a scalar metadata type: integers must be whole and in range, uint64 and int64 become BigInts,
+     * and bool accepts only booleans. Throws if the value doesn't fit the type, rather than letting the writer wrap it around.
+     * @param {string} type - A scalar type name as in valueTypes, e.g., "int32"
+     * @param {*} value - A number, BigInt, boolean, or string, or a string of one of those, e.g., from a text box
+     * @returns {number|bigint|boolean|string}
      */
-    _getQuantizationPriority(type) {
+    static normalizeValue(type, value) {
+        const integerBits = { uint8: 8, int8: 8, uint16: 16, int16: 16, uint32: 32, int32: 32, uint64: 64, int64: 64 }[type];
+        if (integerBits) {
+            let integer;
+            try {
+                integer = BigInt(typeof value === 'string' ? value.trim() : value);
+            } catch {
+                throw new Error(`${JSON.stringify(`${value}`)} isn't a whole number, as ${type} needs.`);
+            }
+            const min = type.startsWith('u') ? 0n : -(1n << BigInt(integerBits - 1));
+            const max = type.startsWith('u') ? (1n << BigInt(integerBits)) - 1n : (1n << BigInt(integerBits - 1)) - 1n;
+            if (integer < min || integer > max) {
+                throw new Error(`${integer} is out of range for ${type} (${min} to ${max}).`);
+            }
+            return integerBits === 64 ? integer : Number(integer);
+        }
         switch (type) {
-            // Priority 0: Most complex (1-bit, 2-bit, 3-bit)
-            case GgmlType.IQ1_S:
-            case GgmlType.IQ1_M:
-                return 0;
-            case GgmlType.IQ2_XXS:
-            case GgmlType.IQ2_XS:
-            case GgmlType.IQ2_S:
-            case GgmlType.Q2_K:
-                return 1;
-            case GgmlType.IQ3_XXS:
-            case GgmlType.IQ3_S:
-            case GgmlType.Q3_K:
-                return 2;
-
-            // Priority 1: 4-bit
-            case GgmlType.Q4_0:
-            case GgmlType.Q4_1:
-            case GgmlType.Q4_K:
-            case GgmlType.IQ4_NL:
-            case GgmlType.IQ4_XS:
-                return 3;
-
-            // Priority 2: 5-bit
-            case GgmlType.Q5_0:
-            case GgmlType.Q5_1:
-            case GgmlType.Q5_K:
-                return 4;
-
-            // Priority 3: 6-bit
-            case GgmlType.Q6_K:
-                return 5;
-
-            // Priority 4: 8-bit
-            case GgmlType.Q8_0:
-            case GgmlType.Q8_1:
-            case GgmlType.Q8_K:
-            case GgmlType.I8:
-                return 6;
-
-            // Priority 5: High precision (less benefit from GPU-specific dequantization kernels)
-            case GgmlType.I16:
-                return 7;
-            case GgmlType.F16:
-                return 8;
-            case GgmlType.I32:
-                return 9;
-            case GgmlType.F32:
-                return 10;
-            case GgmlType.I64:
-                return 11;
-            case GgmlType.F64:
-                return 12;
-
-            // Default for unknown/new types, give them low priority
+            case 'float32':
+            case 'float64': {
+                const number = typeof value === 'string' ? Number(value.trim() || NaN) : Number(value);
+                if (Number.isNaN(number) && !/^\s*nan\s*$/i.test(`${value}`)) {
+                    throw new Error(`${JSON.stringify(`${value}`)} isn't a number, as ${type} needs.`);
+                }
+                return type === 'float32' ? Math.fround(number) : number;
+            }
+            case 'bool':
+                if (value === true || value === 'true') return true;
+                if (value === false || value === 'false') return false;
+                throw new Error(`${JSON.stringify(`${value}`)} isn't true or false, as bool needs.`);
+            case 'string':
+                return `${value}`;
             default:
-                return 99;
+                throw new Error(`Unknown metadata value type ${type}.`);
         }
     }
 
     /**
-     * Calculates the key-value cache size per token based on the GGUF metadata.
-     * The size calculation is: hidden layers * hidden size * key-value heads * 4 / attention heads / 1024.
-     * The 4 comes from assuming 2-byte precision for both key and value.
-     * It's in KB for convenience, as the models I checked ranged from 12 KB to 651 KB per token.
-     * @returns {number} The size of the key-value cache in kilobytes required per token.
+     * Gets the name of the dictionary that holds values of a valueTypes type, e.g., uint32Values, or arrayValues for any array.
      */
-    getKvCacheKBPerToken() {
-        const architecture = this.stringValues['general.architecture'] || 'llama';
-        const hiddenLayers = this.uint32Values[architecture + '.block_count'] || 64; //num_hidden_layers in config.json
-        const kvHeads = this.uint32Values[architecture + '.attention.head_count_kv'] || 8; //num_key_value_heads in config.json
-		//kvSize is 2 * hidden_size, qk_nope_head_dim + 2 * qk_rope_head_dim, 2 * head_dim, kv_lora_rank + qk_rope_head_dim + v_head_dim, OR 2 * d_kv in config.json depending on the model.
-		const kvSize = (this.uint32Values[architecture + ".attention.key_length"] + this.uint32Values[architecture + ".attention.value_length"]) ||
-			(2 * this.uint32Values[architecture + ".head_dim"]) ||
-			(2 * this.uint32Values[architecture + '.embedding_length'] / this.uint32Values[architecture + '.attention.head_count']); //hidden_size and num_attention_heads in config.json
-        return Math.floor(hiddenLayers * kvHeads * kvSize * 2 / 1024); // * 2 for byte precision
+    static _getDictionaryName(typeName) {
+        return typeName.startsWith('array') ? 'arrayValues' : `${typeName}Values`;
     }
-}
 
-/**
- * Calculates the key-value cache size per token based on provided JSON metadata.
- * The kvSize fallback order is:
- *   2. qk_nope_head_dim + 2 * qk_rope_head_dim
- *   3. 2 * head_dim
- *   4. kv_lora_rank + qk_rope_head_dim + v_head_dim
- *   5. 2 * d_kv
- *   6. 2 * hidden_size / num_attention_heads
- * @param {string|object} json - A JSON string or object with keys: num_attention_heads, num_hidden_layers, num_key_value_heads, etc.
- * @returns {number} The size of the key-value cache in kilobytes required per token.
- */
-function getKvCacheKBPerTokenFromJson(json) {
-    let obj;
-    if (typeof json === 'string') {
-        if (!json.trim()) throw new Error("Input JSON cannot be null or empty.");
-        obj = JSON.parse(json);
-    } else if (typeof json === 'object' && json !== null) {
-        obj = json;
-    } else {
-        throw new Error("Input must be a JSON string or object.");
+    /**
+     * Reads the general.* and {arch}.* keys that describe the model into one object, so callers don't need to know the key names
+     * or which integer type each was stored as. Anything the file doesn't say is left undefined rather than guessed.
+     * @returns {ModelSummary}
+     */
+    getModelSummary() {
+        const arch = this.stringValues['general.architecture'];
+        const archKey = name => arch ? `${arch}.${name}` : name;
+        const fileType = this._getNumber('general.file_type');
+        const layerCount = this._getNumber(archKey('block_count'));
+        const headCount = this._getSummaryValue(archKey('attention.head_count'));
+        const embeddingLength = this._getNumber(archKey('embedding_length'));
+        const firstHeadCount = Array.isArray(headCount) ? headCount.find(count => count > 0) : headCount;
+        const defaultHeadLength = embeddingLength && firstHeadCount ? embeddingLength / firstHeadCount : undefined;
+
+        return {
+            architecture: arch,
+            name: this.stringValues['general.name'],
+            sizeLabel: this.stringValues['general.size_label'],
+            fileType,
+            fileTypeName: fileType === undefined ? undefined : getFileTypeName(fileType),
+            parameterCount: this.getParameterCount(),
+            contextLength: this._getNumber(archKey('context_length')),
+            embeddingLength,
+            feedForwardLength: this._getSummaryValue(archKey('feed_forward_length')),
+            layerCount,
+            headCount,
+            headCountKv: this._getSummaryValue(archKey('attention.head_count_kv')),
+            keyLength: this._getNumber(archKey('attention.key_length')) ?? defaultHeadLength,
+            valueLength: this._getNumber(archKey('attention.value_length')) ?? defaultHeadLength,
+            rope: {
+                dimensionCount: this._getNumber(archKey('rope.dimension_count')),
+                freqBase: this._getNumber(archKey('rope.freq_base')),
+                scalingType: this.stringValues[archKey('rope.scaling.type')],
+                // Older files store linear scaling as rope.scale_linear instead
+                scalingFactor: this._getNumber(archKey('rope.scaling.factor')) ?? this._getNumber(archKey('rope.scale_linear')),
+                originalContextLength: this._getNumber(archKey('rope.scaling.original_context_length')),
+            },
+            expertCount: this._getNumber(archKey('expert_count')),
+            expertUsedCount: this._getNumber(archKey('expert_used_count')),
+            expertSharedCount: this._getNumber(archKey('expert_shared_count')),
+        };
     }
 
-    const hiddenLayers = obj.num_hidden_layers;
-    const kvHeads = obj.num_key_value_heads;
-    const attentionHeads = obj.num_attention_heads;
-
-    if (
-        typeof hiddenLayers !== 'number' ||
-        typeof kvHeads !== 'number' ||
-        typeof attentionHeads !== 'number'
-    ) {
-        throw new Error("JSON must contain numeric keys: num_hidden_layers, num_key_value_heads, num_attention_heads.");
-    }
-
-    // Fallback logic for kvSize, combined from various different models' conversion logic in convert_hf_to_gguf.py
-    let kvSize = null;
-    if (typeof obj.qk_nope_head_dim === 'number' && typeof obj.qk_rope_head_dim === 'number') {
-        kvSize = obj.qk_nope_head_dim + 2 * obj.qk_rope_head_dim;
-    } else if (typeof obj.head_dim === 'number') {
-        kvSize = 2 * obj.head_dim;
-    } else if (
-        typeof obj.kv_lora_rank === 'number' &&
-        typeof obj.qk_rope_head_dim === 'number' &&
-        typeof obj.v_head_dim === 'number'
-    ) {
-        kvSize = obj.kv_lora_rank + obj.qk_rope_head_dim + obj.v_head_dim;
-    } else if (typeof obj.d_kv === 'number') {
-        kvSize = 2 * obj.d_kv;
-    } else if (
-        typeof obj.hidden_size === 'number' &&
-        typeof obj.num_attention_heads === 'number'
-    ) {
-        kvSize = 2 * obj.embedding_length / obj.num_attention_heads;
-    } else {
-        throw new Error("JSON does not contain sufficient information to determine kvSize.");
+    /**
+     * Gets a value that can be stored either once or per layer (like head_count in OpenELM), as a number if every layer agrees
+     * and as the per-layer array otherwise.
+     * @returns {number|number[]|undefined}
+     */
+    _getSummaryValue(key) {
+        const values = this.arrayValues[key]?.values;
+        if (values) {
+            const numbers = Array.from(values, Number);
+            return numbers.every(value => value === numbers[0]) ? numbers[0] : numbers;
+        }
+        return this._getNumber(key);
     }
 
-    // 2 for byte precision (key+value), divide by 1024 for KB
-    return Math.floor(hiddenLayers * kvHeads * kvSize * 2 / 1024);
-}
+    /**
+     * Gathers the tokenizer.* keys: the tokenizer model, the special tokens resolved to their text, the add-BOS/EOS flags, and the chat
+     * templates. Token text and types come from the tokenizer.ggml.tokens and token_type arrays, so if those were left lazy, load them
+     * with loadArray first to get more than the ids.
+     * @returns {{model: string|undefined, preTokenizer: string|undefined, vocabularySize: number|undefined,
+     * specialTokens: {name: string, key: string, id: number, text: string|undefined, type: string|undefined}[],
+     * addBosToken: boolean|undefined, addEosToken: boolean|undefined, chatTemplate: string|undefined,
+     * namedChatTemplates: Object<string, string>, warnings: string[]}} Only the special tokens the file declares are listed.
+     * warnings lists problems that would break generation, such as a missing or out-of-range EOS id.
+     */
+    getTokenizerInfo() {
+        const warnings = [];
+        const tokens = this.arrayValues['tokenizer.ggml.tokens'];
+        const tokenTypes = this.arrayValues['tokenizer.ggml.token_type'];
+        const vocabularySize = tokens?.length;
 
-const GgufMetadataValueType = {
+        const specialTokens = [];
+        for (const [name, key] of Object.entries(TokenizerSpecialTokenKeys)) {
+            const value = this.getValue(key);
+            if (value === undefined) continue;
+            const id = Number(value);
+            const inRange = vocabularySize === undefined || (Number.isInteger(id) && id >= 0 && id < vocabularySize);
+            if (!inRange) {
+                warnings.push(`The ${name.toUpperCase()} token id ${id} is outside the vocabulary (0 to ${vocabularySize - 1}).`);
+            }
+            specialTokens.push({
+                name,
+                key,
+                id,
+                text: inRange && tokens?.loaded ? tokens.values[id] : undefined,
+                type: inRange && tokenTypes?.loaded ? TokenTypeNames[tokenTypes.values[id]] ?? `${tokenTypes.values[id]}` : undefined,
+            });
+        }
+
+        const addBosToken = this.boolValues['tokenizer.ggml.add_bos_token'];
+        const addEosToken = this.boolValues['tokenizer.ggml.add_eos_token'];
+        if (!tokens) {
+            warnings.push("tokenizer.ggml.tokens is missing, so the model has no vocabulary of its own.");
+        } else if (!specialTokens.some(token => token.name === 'eos')) {
+            warnings.push("tokenizer.ggml.eos_token_id is missing, so generation may not know when to stop.");
+        }
+        if (addBosToken && !specialTokens.some(token => token.name === 'bos')) {
+            warnings.push("tokenizer.ggml.add_bos_token is set but there's no tokenizer.ggml.bos_token_id.");
+        }
+
+        // Besides the default template, a model can have named ones (e.g., tool_use) in tokenizer.chat_template.<name>
+        const namedChatTemplates = {};
+        for (const [key, value] of Object.entries(this.stringValues)) {
+            if (key.startsWith('tokenizer.chat_template.')) {
+                namedChatTemplates[key.slice('tokenizer.chat_template.'.length)] = value;
+            }
+        }
+
+        return {
+            model: this.stringValues['tokenizer.ggml.model'],
+            preTokenizer: this.stringValues['tokenizer.ggml.pre'],
+            vocabularySize,
+            specialTokens,
+            addBosToken,
+            addEosToken,
+            chatTemplate: this.stringValues['tokenizer.chat_template'],
+            namedChatTemplates,
+            warnings,
+        };
+    }
+
+    /**
+     * Renders the model's chat template for a conversation, filling in bos_token and eos_token from the vocabulary. See renderChatTemplate.
+     * @param {object} [options] - The options for renderChatTemplate, plus templateName to use a named template instead of the default
+     * @returns {string} The prompt the model would see
+     */
+    renderChatTemplate(options = {}) {
+        const info = this.getTokenizerInfo();
+        const template = options.templateName ? info.namedChatTemplates[options.templateName] : info.chatTemplate;
+        if (template === undefined) {
+            throw new Error(options.templateName ? `No chat template named ${options.templateName}` : "The model has no chat template.");
+        }
+        const tokenText = name => info.specialTokens.find(token => token.name === name)?.text ?? '';
+        return renderChatTemplate(template, { bosToken: tokenText('bos'), eosToken: tokenText('eos'), ...options });
+    }
+
+    /**
+     * Gets the split.* keys written by llama.cpp's gguf-split, which shards a model into model-00001-of-00005.gguf and so on.
+     * @returns {{index: number, count: number, tensorCount: number}|null} The 0-based shard index, the number of shards, and the total
+     * tensor count across all shards, or null if this file isn't a shard.
+     */
+    getSplitInfo() {
+        const count = this.getValue('split.count');
+        if (count === undefined) return null;
+        return {
+            index: Number(this.getValue('split.no') ?? 0),
+            count: Number(count),
+            tensorCount: Number(this.getValue('split.tensors.count') ?? NaN),
+        };
+    }
+
+    /**
+     * Checks that a set of shards is one complete, consistent split model.
+     * @param {GgufMetadata[]} shards - The loaded shards, in any order
+     * @param {string[]} [fileNames] - The shards' file names, in the same order, to check against their -0000n-of-0000m suffixes
+     * @returns {string[]} A description of each problem found; empty if the set is complete
+     */
+    static validateShards(shards, fileNames = []) {
+        const problems = [];
+        const infos = shards.map(shard => shard.getSplitInfo());
+        const label = i => fileNames[i] ?? `shard ${i + 1}`;
+
+        infos.forEach((info, i) => {
+            if (!info) problems.push(`${label(i)} has no split.count key, so it isn't a shard.`);
+        });
+        const counts = [...new Set(infos.filter(Boolean).map(info => info.count))];
+        if (counts.length > 1) {
+            problems.push(`The shards disagree on split.count (${counts.join(', ')}).`);
+        }
+
+        const expectedCount = counts[0] ?? shards.length;
+        const seen = new Map();
+        infos.forEach((info, i) => {
+            if (!info) return;
+            if (seen.has(info.index)) {
+                problems.push(`${label(i)} and ${label(seen.get(info.index))} both have split.no ${info.index}.`);
+            }
+            seen.set(info.index, i);
+            const fileInfo = fileNames[i] ? getSplitFileInfo(fileNames[i]) : null;
+            if (fileInfo && (fileInfo.index !== info.index + 1 || fileInfo.count !== info.count)) {
+                problems.push(`${label(i)} has split.no ${info.index} of ${info.count}, which doesn't match its file name.`);
+            }
+        });
+        const missing = [];
+        for (let index = 0; index < expectedCount; index++) {
+            if (!seen.has(index)) missing.push(index + 1);
+        }
+        if (missing.length) {
+            problems.push(`Missing shard${missing.length > 1 ? 's' : ''} ${missing.join(', ')} of ${expectedCount}.`);
+        }
+
+        const totalTensors = shards.reduce((sum, shard) => sum + shard.tensors.length, 0);
+        const expectedTensors = infos.find(info => info && !isNaN(info.tensorCount))?.tensorCount;
+        if (expectedTensors !== undefined && expectedTensors !== totalTensors) {
+            problems.push(`split.tensors.count is ${expectedTensors}, but the shards hold ${totalTensors} tensors.`);
+        }
+
+        const names = new Set();
+        for (const shard of shards) {
+            for (const tensor of shard.tensors) {
+                if (names.has(tensor.name)) problems.push(`Tensor ${tensor.name} appears in more than one shard.`);
+                names.add(tensor.name);
+            }
+        }
+        return problems;
+    }
+
+    /**
+     * Combines the shards of a split model into one GgufMetadata, so offload ordering, sizes, KV estimates, and planning cover
+     * the whole model. The metadata comes from the first shard (gguf-split only writes it there), and the tensor lists are
+     * concatenated in shard order as copies, each with its shard set to its index in the merged shards array; the shards themselves
+     * aren't changed.
+     * @param {GgufMetadata[]} shards - The loaded shards, in any order
+     * @param {string[]} [fileNames] - The shards' file names, in the same order, for validation messages
+     * @returns {GgufMetadata} The merged model, with shards (sorted by split.no), shardFileNames, and splitProblems
+     * (see validateShards) set
+     */
+    static mergeShards(shards, fileNames = []) {
+        const order = shards.map((shard, i) => i)
+            .sort((a, b) => (shards[a].getSplitInfo()?.index ?? a) - (shards[b].getSplitInfo()?.index ?? b));
+        const sorted = order.map(i => shards[i]);
+        const first = sorted[0];
+
+        const merged = new GgufMetadata();
+        for (const dict of ['uint8Values', 'int8Values', 'uint16Values', 'int16Values', 'uint32Values', 'int32Values', 'float32Values',
+            'boolValues', 'stringValues', 'uint64Values', 'int64Values', 'float64Values', 'arrayValues', 'valueTypes']) {
+            merged[dict] = { ...first[dict] };
+        }
+        merged.tensors = sorted.flatMap((shard, index) => shard.tensors.map(tensor =>
+            Object.assign(new TensorInfo(tensor.name, tensor.type, tensor.dimensions, tensor.offset), { shard: index })));
+        merged.alignment = first.alignment;
+        merged.dataOffset = first.dataOffset;
+        merged.version = first.version;
+        merged.endianness = first.endianness;
+        merged.littleEndian = first.littleEndian;
+        merged.sizeBytes = first.sizeBytes;
+        merged.reader = first.reader;
+        merged.maxArrayLength = first.maxArrayLength;
+        merged.lazyArrays = first.lazyArrays;
+
+        merged.shards = sorted;
+        merged.shardFileNames = order.map(i => fileNames[i]);
+        merged.splitProblems = GgufMetadata.validateShards(shards, fileNames);
+        return merged;
+    }
+
+    /**
+     * Checks the loaded header and tensor layout for problems: duplicate keys, invalid UTF-8, tensors with unknown types or more than
+     * four dimensions, tensor data that's misaligned, out of order, overlapping, or past the end of the file (a truncated download).
+     * Headers too broken to parse at all make loadFromFile throw instead; see validateFile.
+     * For a model merged from split files, every shard is checked, and problems with the set of shards are reported as errors.
+     * @returns {GgufFinding[]} The findings, errors first; empty if the file looks healthy
+     */
+    validate() {
+        if (this.shards) {
+            return [
+                ...this.splitProblems.map(message => ({ severity: 'error', code: 'split', offset: null, message })),
+                ...this.shards.flatMap((shard, index) => shard.validate().map(finding => ({ ...finding, shard: index }))),
+            ].sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+        }
+
+        const findings = [...this.parseFindings];
+        const fileSize = this.reader?.size;
+        const names = new Set();
+        let previous = null;
+        const byOffset = [];
+        for (const tensor of this.tensors) {
+            const start = this.dataOffset + Number(tensor.offset);
+            if (names.has(tensor.name)) {
+                findings.push({ severity: 'error', code: 'duplicate-tensor', offset: start, message: `The tensor name ${tensor.name} appears more than once.` });
+            }
+            names.add(tensor.name);
+            if (tensor.dimensions.length > 4) {
+                findings.push({ severity: 'error', code: 'too-many-dimensions', offset: start, message: `${tensor.name} has ${tensor.dimensions.length} dimensions; ggml supports at most 4.` });
+            }
+            if (!GgmlTypes[tensor.type]) {
+                findings.push({ severity: 'error', code: 'unknown-type', offset: start, message: `${tensor.name} has unknown tensor type ${tensor.type}, so its size can't be checked.` });
+            }
+            if (Number(tensor.offset) % this.alignment !== 0) {
+                findings.push({ severity: 'error', code: 'misaligned', offset: start, message: `${tensor.name} starts at data offset ${tensor.offset}, which isn't a multiple of the alignment (${this.alignment}).` });
+            }
+            if (previous && Number(tensor.offset) < Number(previous.offset)) {
+                findings.push({ severity: 'warning', code: 'out-of-order', offset: start, message: `${tensor.name}'s data comes before that of ${previous.name}, which precedes it in the tensor list.` });
+            }
+            previous = tensor;
+
+            const size = tensor.getByteSize();
+            if (!isNaN(size)) {
+                byOffset.push({ tensor, start, end: start + size });
+                if (fileSize !== undefined && start + size > fileSize) {
+                    findings.push({ severity: 'error', code: 'truncated', offset: start,
+                        message: `${tensor.name}'s data ends at byte ${start + size}, past the end of the file (${fileSize} bytes). The file may be truncated.` });
+                }
+            }
+        }
+
+        byOffset.sort((a, b) => a.start - b.start);
+        for (let i = 1; i < byOffset.length; i++) {
+            if (byOffset[i].start < byOffset[i - 1].end) {
+                findings.push({ severity: 'error', code: 'overlap', offset: byOffset[i].start,
+                    message: `${byOffset[i].tensor.name}'s data overlaps that of ${byOffset[i - 1].tensor.name}, which ends at byte ${byOffset[i - 1].end}.` });
+            }
+        }
+        return findings.sort((a, b) => (a.severity === 'error' ? 0 : 1) - (b.severity === 'error' ? 0 : 1));
+    }
+
+    /**
+     * Loads a file and validates it, turning a header too broken to parse into an error finding instead of an exception.
+     * @param {File|Blob|string|URL|number|Uint8Array|ArrayBuffer|GgufReader} file - See loadFromFile
+     * @param {object} [options] - See loadFromFile
+     * @returns {Promise<{metadata: GgufMetadata|null, findings: GgufFinding[]}>} metadata is null if the header couldn't be read
+     */
+    static async validateFile(file, options = {}) {
+        const metadata = new GgufMetadata();
+        try {
+            await metadata.loadFromFile(file, null, options);
+        } catch (error) {
+            return { metadata: null, findings: [{ severity: 'error', code: 'unreadable', offset: error.offset ?? null, message: error.message }] };
+        }
+        return { metadata, findings: metadata.validate() };
+    }
+
+    /**
+     * Loads a File or Blob like loadFromFile, but parses it in a Web Worker running this script, so big headers, or many files at once,
+     * don't hold up the page. The worker sends back the parsed header, which is rebuilt here with a reader on the same file, so loadArray
+     * and the tensor reads work as usual. Other sources, and pages that can't start a worker (Chrome refuses to for pages opened from
+     * file://), are loaded on this thread instead.
+     * @param {File|Blob|string|URL|number|Uint8Array|ArrayBuffer|GgufReader} file - See loadFromFile
+     * @param {Function} [waiter] - Called periodically when the file is loaded on this thread, so the load can yield to the UI
+     * @param {object} [options] - See loadFromFile; onProgress and signal work the same in a worker
+     * @returns {Promise<GgufMetadata>} With workerFallbackReason set if the file was parsed on this thread
+     */
+    static async loadInWorker(file, waiter, options = {}) {
+        const { onProgress, signal, ...workerOptions } = options;
+        signal?.throwIfAborted();
+        let worker = null;
+        let fallbackReason = null;
+        if (typeof Worker === 'undefined' || !GgufMetadataScriptUrl) {
+            fallbackReason = "Web Workers aren't available here.";
+        } else if (typeof Blob === 'undefined' || !(file instanceof Blob)) {
+            fallbackReason = 'Only Files and Blobs are parsed in a worker.';
+        } else {
+            try {
+                worker = new Worker(GgufMetadataScriptUrl);
+            } catch (error) {
+                fallbackReason = `Couldn't start a worker: ${error.message}`;
+            }
+        }
+
+        const state = worker && await new Promise((resolve, reject) => {
+            const finish = () => {
+                signal?.removeEventListener('abort', abort);
+                worker.terminate();
+            };
+            const abort = () => {
+                finish();
+                reject(signal.reason);
+            };
+            signal?.addEventListener('abort', abort);
+            worker.onmessage = ({ data }) => {
+                if (data.type === 'progress') {
+                    onProgress?.(data.progress);
+                    return;
+                }
+                finish();
+                if (data.type === 'result') {
+                    resolve(data.state);
+                } else {
+                    reject(Object.assign(new Error(data.message), { offset: data.offset }));
+                }
+            };
+            // Parse errors come back as messages, so an error event means the worker script itself couldn't run
+            worker.onerror = event => {
+                event.preventDefault();
+                fallbackReason = `The worker failed to start: ${event.message}`;
+                finish();
+                resolve(null);
+            };
+            worker.postMessage({ file, options: workerOptions });
+        });
+
+        if (!state) {
+            const metadata = new GgufMetadata();
+            await metadata.loadFromFile(file, waiter, options);
+            metadata.workerFallbackReason = fallbackReason;
+            return metadata;
+        }
+        const metadata = GgufMetadata._fromWorkerState(state);
+        metadata.reader = createGgufReader(file);
+        return metadata;
+    }
+
+    /**
+     * Gets the parsed header as plain data that can be posted from a worker, for _fromWorkerState to rebuild.
+     */
+    _getWorkerState() {
+        const state = {};
+        for (const field of ['uint8Values', 'int8Values', 'uint16Values', 'int16Values', 'uint32Values', 'int32Values', 'float32Values',
+            'boolValues', 'stringValues', 'uint64Values', 'int64Values', 'float64Values', 'arrayValues', 'valueTypes', 'tensors',
+            'alignment', 'dataOffset', 'version', 'endianness', 'littleEndian', 'sizeBytes', 'parseFindings', 'maxArrayLength',
+            'lazyArrays', 'progress']) {
+            state[field] = this[field];
+        }
+        return state;
+    }
+
+    /**
+     * Rebuilds a GgufMetadata from _getWorkerState's data; posting it drops the GgufArray and TensorInfo classes, so they're restored here.
+     * The result has no reader yet.
+     */
+    static _fromWorkerState(state) {
+        const restoreArray = array => new GgufArray(array.elementType, array.length, array.offset,
+            array.elementType === GgufMetadataValueType.ARRAY && array.values ? array.values.map(restoreArray) : array.values);
+        const metadata = Object.assign(new GgufMetadata(), state);
+        metadata.arrayValues = Object.fromEntries(Object.entries(state.arrayValues).map(([key, array]) => [key, restoreArray(array)]));
+        metadata.tensors = state.tensors.map(tensor => Object.assign(new TensorInfo(tensor.name, tensor.type, tensor.dimensions, tensor.offset), tensor));
+        // The worker's read buffer stays behind; loadArray starts a fresh one
+        metadata.chunk = new ArrayBuffer(0);
+        metadata.view = new DataView(metadata.chunk);
+        return metadata;
+    }
+
+    /**
+     * Compares two files key by key and tensor by tensor, e.g., two quantizations of one model or a re-upload against the original.
+     * Arrays that weren't loaded on both sides (see the maxArrayLength option) are compared by element type and length only.
+     * @param {GgufMetadata} a - The original, or left-hand, file
+     * @param {GgufMetadata} b - The file to compare it with
+     * @returns {{keys: object[], tensors: object[], typeSizes: object[], unchangedKeyCount: number, unchangedTensorCount: number}}
+     * keys lists keys that were added, removed, changed, or type-changed (moved to another per-type dictionary), with
+     * {key, status, typeA, typeB, valueA, valueB}; tensors lists tensors that were added, removed, or changed type or shape, with
+     * {name, status, typeA, typeB, shapeA, shapeB, bytesA, bytesB}; typeSizes gives the total bytes per GgmlType on each side, with
+     * {type, typeName, bytesA, bytesB, delta}, for every type either file uses.
+     */
+    static diff(a, b) {
+        const keys = [];
+        let unchangedKeyCount = 0;
+        for (const key of new Set([...Object.keys(a.valueTypes), ...Object.keys(b.valueTypes)])) {
+            const typeA = a.valueTypes[key];
+            const typeB = b.valueTypes[key];
+            const valueA = a.getValue(key);
+            const valueB = b.getValue(key);
+            let status;
+            if (typeA === undefined) {
+                status = 'added';
+            } else if (typeB === undefined) {
+                status = 'removed';
+            } else if (typeA !== typeB) {
+                status = 'type-changed';
+            } else if (!GgufMetadata._valuesEqual(valueA, valueB)) {
+                status = 'changed';
+            } else {
+                unchangedKeyCount++;
+                continue;
+            }
+            keys.push({ key, status, typeA, typeB, valueA, valueB });
+        }
+
+        const tensors = [];
+        let unchangedTensorCount = 0;
+        const tensorsA = new Map(a.tensors.map(tensor => [tensor.name, tensor]));
+        const tensorsB = new Map(b.tensors.map(tensor => [tensor.name, tensor]));
+        for (const name of new Set([...tensorsA.keys(), ...tensorsB.keys()])) {
+            const tensorA = tensorsA.get(name);
+            const tensorB = tensorsB.get(name);
+            const shapeA = tensorA?.dimensions.join('x');
+            const shapeB = tensorB?.dimensions.join('x');
+            const status = !tensorA ? 'added' : !tensorB ? 'removed' : tensorA.type !== tensorB.type || shapeA !== shapeB ? 'changed' : null;
+            if (!status) {
+                unchangedTensorCount++;
+                continue;
+            }
+            tensors.push({
+                name,
+                status,
+                typeA: tensorA && getGgmlTypeName(tensorA.type),
+                typeB: tensorB && getGgmlTypeName(tensorB.type),
+                shapeA,
+                shapeB,
+                bytesA: tensorA?.getByteSize(),
+                bytesB: tensorB?.getByteSize(),
+            });
+        }
+
+        const typeSizes = {};
+        for (const [side, metadata] of [['bytesA', a], ['bytesB', b]]) {
+            for (const entry of metadata.getTypeBreakdown()) {
+                const sizes = typeSizes[entry.type] ??= { type: entry.type, typeName: entry.typeName, bytesA: 0, bytesB: 0, delta: 0 };
+                sizes[side] = entry.byteSize;
+            }
+        }
+        Object.values(typeSizes).forEach(sizes => sizes.delta = sizes.bytesB - sizes.bytesA);
+
+        return {
+            keys,
+            tensors,
+            typeSizes: Object.values(typeSizes).sort((x, y) => Math.max(y.bytesA, y.bytesB) - Math.max(x.bytesA, x.bytesB)),
+            unchangedKeyCount,
+            unchangedTensorCount,
+        };
+    }
+
+    static _valuesEqual(x, y) {
+        if (x instanceof GgufArray && y instanceof GgufArray) {
+            if (x.elementType !== y.elementType || x.length !== y.length) return false;
+            if (!x.loaded || !y.loaded) return true;
+            for (let i = 0; i < x.length; i++) {
+                if (!GgufMetadata._valuesEqual(x.values[i], y.values[i])) return false;
+            }
+            return true;
+        }
+        return Object.is(x, y);
+    }
+
+    /**
+     * Gets the list of tensors sorted in a hopefully optimal order for offloading to a GPU with limited VRAM.
+     * Each tensor is classified with getTensorRole and given a priority by the first matching rule, checking the rules passed in before
+     * DefaultOffloadRules. By default, the order is:
+     * 1. The output layer and final norm.
+     * 2. The blocks' attention tensors, then the rest of the blocks' tensors that run on every token: norms, dense FFNs, the MoE router,
+     *    shared experts, and recurrent layers.
+     * 3. Routed experts (for MoE models), which are used less frequently.
+     * 4. Multi-token prediction layers, then multimodal encoders, then the input embeddings, which llama.cpp keeps on the CPU anyway.
+     * Within the same priority, tensors are prioritized by computational cost (lower-bit quantizations first) and then by block number.
+     * @param {object} [options]
+     * @param {{role?: string|string[], name?: RegExp, inBlock?: boolean, priority: number}[]} [options.rules] - Rules that override the defaults
+     * @returns {TensorInfo[]} An ordered array of TensorInfo, from most important to least important to offload.
+     */
+    getTensorsForOffload({ rules = [] } = {}) {
+        const allRules = [...rules, ...DefaultOffloadRules];
+        const priorities = new Map(this.tensors.map(tensor => [tensor, GgufMetadata._getOffloadPriority(tensor, this.getTensorRole(tensor), allRules)]));
+
+        return this.tensors
+            .slice() // Create a copy to avoid mutating the original array
+            .sort((a, b) => {
+                const aPriority = priorities.get(a);
+                const bPriority = priorities.get(b);
+                if (aPriority !== bPriority) {
+                    return aPriority - bPriority;
+                }
+                
+                // Then quantization priority
+                const aQuantPriority = this._getQuantizationPriority(a.type);
+                const bQuantPriority = this._getQuantizationPriority(b.type);
+                if (aQuantPriority !== bQuantPriority) {
+                    return aQuantPriority - bQuantPriority;
+                }
+                
+                // Then block number
+                const aBlockNum = a.getBlockNumber();
+                const bBlockNum = b.getBlockNumber();
+                if (aBlockNum !== bBlockNum) {
+                    return aBlockNum - bBlockNum;
+                }
+                
+                // Finally, name for stable sort
+                return a.name.localeCompare(b.name);
+            });
+    }
+
+    /**
+     * Classifies a tensor with classifyTensorName, treating the last {arch}.nextn_predict_layers blocks as multi-token prediction layers.
+     * @param {TensorInfo} tensor
+     * @returns {{role: string, block: number, component: 'text'|'vision'|'audio'}}
+     */
+    getTensorRole(tensor) {
+        const arch = this.stringValues['general.architecture'];
+        const mtpLayerCount = this._getNumber(`${arch}.nextn_predict_layers`);
+        return classifyTensorName(tensor.name, { mtpFirstBlock: mtpLayerCount ? this._getBlockCount() - mtpLayerCount : Infinity });
+    }
+
+    /**
+     * Gets the priority of the first rule that matches a tensor, or Infinity if none does.
+     */
+    static _getOffloadPriority(tensor, { role, block }, rules) {
+        const rule = rules.find(candidate =>
+            (candidate.role === undefined || (Array.isArray(candidate.role) ? candidate.role.includes(role) : candidate.role === role))
+            && (candidate.name === undefined || new RegExp(candidate.name).test(tensor.name))
+            && (candidate.inBlock === undefined || candidate.inBlock === block >= 0));
+        return rule ? rule.priority : Infinity;
+    }
+
+    /**
+     * Returns a priority score for a tensor type based on its computational complexity for dequantization.
+     * Lower scores indicate higher complexity and thus higher priority for GPU offloading: quantized types rank by their nominal bit width
+     * (1-bit, 2-bit, ... 8-bit), which is the whole number of bits below their bits per weight once block scales are counted (Q4_K is 4.5,
+     * Q4_1 is 5.0), then unquantized types by width, as they get less benefit from GPU-specific dequantization kernels.
+     * Types missing from GgmlTypes come last.
+     */
+    _getQuantizationPriority(type) {
+        const info = GgmlTypes[type];
+        if (!info) return Infinity;
+        const unquantized = info.family === GgmlTypeFamily.FLOAT || info.family === GgmlTypeFamily.INTEGER;
+        return unquantized ? 64 + info.bitsPerWeight : Math.ceil(info.bitsPerWeight) - 1;
+    }
+
+    /**
+     * Gets the total number of weights in all tensors.
+     * @returns {number}
+     */
+    getParameterCount() {
+        return this.tensors.reduce((sum, tensor) => sum + tensor.getElementCount(), 0);
+    }
+
+    /**
+     * Gets the total size of the tensor data in bytes, not including alignment padding between tensors.
+     * @returns {number} The total, or NaN if any tensor has a type whose size isn't known.
+     */
+    getTotalTensorBytes() {
+        return this.tensors.reduce((sum, tensor) => sum + tensor.getByteSize(), 0);
+    }
+
+    /**
+     * Groups the tensors by GgmlType, largest total size first. family and bitsPerWeight come from GgmlTypes (undefined and NaN for unknown types).
+     * @returns {{type: number, typeName: string, family: string, bitsPerWeight: number, tensorCount: number, elementCount: number, byteSize: number}[]}
+     */
+    getTypeBreakdown() {
+        const byType = {};
+        for (const tensor of this.tensors) {
+            const entry = byType[tensor.type] ??= {
+                type: tensor.type,
+                typeName: getGgmlTypeName(tensor.type),
+                family: GgmlTypes[tensor.type]?.family,
+                bitsPerWeight: tensor.getBitsPerWeight(),
+                tensorCount: 0,
+                elementCount: 0,
+                byteSize: 0,
+            };
+            entry.tensorCount++;
+            entry.elementCount += tensor.getElementCount();
+            entry.byteSize += tensor.getByteSize();
+        }
+        return Object.values(byType).sort((a, b) => b.byteSize - a.byteSize);
+    }
+
+    /**
+     * Works out which quantization recipe the file really uses, since file names are often wrong. general.file_type is decoded through
+     * LlamaFileTypes to its headline type; if it's missing or unknown, the type holding the most bytes of 2D+ tensors is taken as the
+     * headline instead. The effective bits per weight are measured from the tensor sizes, and every 2D+ tensor stored at more bits per
+     * weight than the headline type is listed (e.g., output.weight at Q6_K in a Q4_K_M). 1D tensors (norms and biases) are left out
+     * of that list, since llama.cpp never quantizes them.
+     * @returns {{fileType: number|undefined, fileTypeName: string|undefined, headlineType: number|undefined, headlineTypeName: string|undefined,
+     *     guessed: boolean, effectiveBitsPerWeight: number, higherPrecisionTensors: TensorInfo[]}}
+     */
+    getQuantizationInfo() {
+        const fileType = this._getNumber('general.file_type');
+        const matrices = this.tensors.filter(tensor => tensor.dimensions.length >= 2);
+        let headlineType = LlamaFileTypes[fileType]?.baseType;
+        const guessed = headlineType === undefined;
+        if (guessed) {
+            const bytesByType = {};
+            matrices.forEach(tensor => bytesByType[tensor.type] = (bytesByType[tensor.type] ?? 0) + tensor.getByteSize());
+            const largest = Object.entries(bytesByType).sort((a, b) => b[1] - a[1])[0];
+            headlineType = largest && Number(largest[0]);
+        }
+
+        const headlineBitsPerWeight = GgmlTypes[headlineType]?.bitsPerWeight ?? Infinity;
+        const parameterCount = this.getParameterCount();
+        return {
+            fileType,
+            fileTypeName: fileType === undefined ? undefined : getFileTypeName(fileType),
+            headlineType,
+            headlineTypeName: headlineType === undefined ? undefined : getGgmlTypeName(headlineType),
+            guessed,
+            effectiveBitsPerWeight: parameterCount ? this.getTotalTensorBytes() * 8 / parameterCount : NaN,
+            higherPrecisionTensors: matrices.filter(tensor => tensor.getBitsPerWeight() > headlineBitsPerWeight),
+        };
+    }
+
+    /**
+     * Calculates the key-value cache size per token based on the GGUF metadata, assuming 2-byte (f16) entries.
+     * This is the per-token growth of every attention layer's cache, ignoring sliding window limits and recurrent state; see estimateKvCache for those.
+     * It's in KB for convenience, as the models I checked ranged from 12 KB to 651 KB per token.
+     * @returns {number} The size of the key-value cache in kilobytes required per token.
+     */
+    getKvCacheKBPerToken() {
+        return Math.floor(estimateKvCacheFromHyperparameters(this.getKvHyperparameters(), { contextLength: 1 }).bytesPerToken / 1024);
+    }
+
+    /**
+     * Estimates the KV cache size the way llama.cpp allocates it. See estimateKvCacheFromHyperparameters for the options and result.
+     */
+    estimateKvCache(options = {}) {
+        return estimateKvCacheFromHyperparameters(this.getKvHyperparameters(), options);
+    }
+
+    /**
+     * Reads the hyperparameters that determine the KV cache size from the {arch}.* keys into the normalized form that
+     * estimateKvCacheFromHyperparameters takes, so the GGUF and config.json paths share one calculation.
+     * Whenever a needed key is missing and a default had to be assumed, a message is added to warnings.
+     * @returns {KvHyperparameters}
+     */
+    getKvHyperparameters() {
+        const warnings = [];
+        const arch = this.stringValues['general.architecture'];
+        if (!arch) {
+            warnings.push("general.architecture is missing; assuming a standard transformer.");
+        }
+        const archKey = name => arch ? `${arch}.${name}` : name;
+
+        let layerCount = this._getNumber(archKey('block_count'));
+        if (!layerCount) {
+            layerCount = Math.max(-1, ...this.tensors.map(tensor => tensor.getBlockNumber())) + 1;
+            warnings.push(layerCount
+                ? `${archKey('block_count')} is missing; counted ${layerCount} blocks from the tensor names.`
+                : `${archKey('block_count')} is missing and there are no blk.N tensors; the estimate is empty.`);
+        }
+
+        const embeddingLength = this._getNumber(archKey('embedding_length'));
+        const headCounts = this._getPerLayerValues(archKey('attention.head_count'), layerCount);
+        let headCountKv = this._getPerLayerValues(archKey('attention.head_count_kv'), layerCount);
+        if (!headCountKv && headCounts) {
+            headCountKv = headCounts;
+            warnings.push(`${archKey('attention.head_count_kv')} is missing; assuming one KV head per attention head (no GQA).`);
+        }
+
+        // Recurrent layers: pure SSM/RWKV models have no attention at all, while hybrids mark their recurrent layers with head_count_kv = 0
+        const recurrentStateBytes = getRecurrentStateBytes({
+            convKernel: this._getNumber(archKey('ssm.conv_kernel')),
+            innerSize: this._getNumber(archKey('ssm.inner_size')),
+            stateSize: this._getNumber(archKey('ssm.state_size')),
+            groupCount: this._getNumber(archKey('ssm.group_count')),
+            wkvHeadSize: this._getNumber(archKey('wkv.head_size')),
+            shortConvCache: this._getNumber(archKey('shortconv.l_cache')),
+            embeddingLength,
+        });
+        const isPureRecurrent = recurrentStateBytes > 0 && !headCounts;
+        const recurrentLayers = Array.from({ length: layerCount }, (_, layer) => isPureRecurrent || (recurrentStateBytes > 0 && !headCountKv?.[layer]));
+
+        const kvLoraRank = this._getNumber(archKey('attention.kv_lora_rank')) || 0;
+        let keyLength = this._getNumber(archKey('attention.key_length'));
+        let valueLength = this._getNumber(archKey('attention.value_length'));
+        const firstHeadCount = headCounts?.find(count => count > 0);
+        if (!keyLength || !valueLength) {
+            const defaultLength = embeddingLength && firstHeadCount ? embeddingLength / firstHeadCount : 0;
+            if (!isPureRecurrent && !kvLoraRank && defaultLength) {
+                warnings.push(`${archKey('attention.key_length')}/value_length are missing; using embedding_length / head_count = ${defaultLength}.`);
+            }
+            keyLength ||= defaultLength;
+            valueLength ||= defaultLength;
+        }
+        if (!isPureRecurrent && !headCountKv && layerCount) {
+            warnings.push(`${archKey('attention.head_count')} is missing; the attention cache can't be estimated.`);
+        }
+
+        const slidingWindow = this._getNumber(archKey('attention.sliding_window')) || 0;
+        const patternKey = archKey('attention.sliding_window_pattern');
+        const swaLayers = getSwaLayers(arch, slidingWindow, layerCount, this.arrayValues[patternKey]?.values ?? this._getNumber(patternKey), warnings);
+
+        return {
+            architecture: arch,
+            layerCount,
+            headCountKv: headCountKv ?? new Array(layerCount).fill(0),
+            keyLength,
+            valueLength,
+            kvLoraRank,
+            ropeDimension: this._getNumber(archKey('rope.dimension_count')) || 0,
+            slidingWindow,
+            swaLayers,
+            recurrentLayers,
+            recurrentStateBytes,
+            warnings,
+        };
+    }
+
+    /**
+     * Gets a numeric metadata value regardless of which integer or float type it was stored as. 64-bit integers are converted to numbers.
+     * @returns {number|undefined}
+     */
+    _getNumber(key) {
+        const value = this.uint32Values[key] ?? this.int32Values[key] ?? this.uint64Values[key] ?? this.int64Values[key]
+            ?? this.uint16Values[key] ?? this.int16Values[key] ?? this.uint8Values[key] ?? this.int8Values[key]
+            ?? this.float32Values[key] ?? this.float64Values[key];
+        return value === undefined ? undefined : Number(value);
+    }
+
+    /**
+     * Gets a value that can be stored either once for all layers or as a per-layer array, as an array with one number per layer.
+     * @returns {number[]|null} null if the key isn't present.
+     */
+    _getPerLayerValues(key, layerCount) {
+        const array = this.arrayValues[key];
+        if (array?.values) {
+            return Array.from({ length: layerCount }, (_, i) => Number(array.values[i] ?? 0));
+        }
+        const value = this._getNumber(key);
+        return value === undefined ? null : new Array(layerCount).fill(value);
+    }
+
+    /**
+     * Works out how much of the model fits in a VRAM budget by walking getTensorsForOffload() in order, and turns the result into llama.cpp flags.
+     * The KV cache and compute buffer are reserved first, since llama.cpp keeps the KV cache of every offloaded layer on the GPU.
+     * Tensors are then placed on the GPU in priority order until the first one that doesn't fit; it and everything after it stay on the CPU.
+     * The generated flags offload every layer with -ngl and use --override-tensor (-ot) to keep the tensors that didn't fit on the CPU,
+     * which is how llama.cpp users normally keep MoE expert tensors in system RAM.
+     * fits only says whether the KV cache and compute buffer fit in the budget; weightsFit says whether every tensor that can be offloaded
+     * was. gpuBytes is what the plan asks of the GPU, which is more than the budget when fits is false; overBudgetBytes is by how much.
+     * @param {object} options
+     * @param {number} options.vramBytes - The VRAM budget in bytes
+     * @param {number} [options.contextLength=4096] - The context length (-c) to reserve KV cache for
+     * @param {string} [options.kvCacheType='f16'] - The KV cache type (-ctk/-ctv), e.g., "f16", "q8_0", or "q4_0"
+     * @param {number} [options.parallel=1] - The number of parallel sequences (-np), which each get their own SWA window and recurrent state
+     * @param {number} [options.computeBufferBytes=536870912] - VRAM to leave for llama.cpp's compute buffers
+     * @param {object[]} [options.rules] - Offload rules that override the defaults; see getTensorsForOffload
+     * @returns {{gpuLayers: number, tensorOverrides: string[], args: string[], commandLine: string, fits: boolean, weightsFit: boolean,
+     *     overBudgetBytes: number, gpuBytes: number, cpuBytes: number, gpuWeightBytes: number, kvCacheBytes: number, computeBufferBytes: number,
+     *     placements: {tensor: TensorInfo, device: string}[]}}
+     */
+    planOffload({ vramBytes, contextLength = 4096, kvCacheType = 'f16', parallel = 1, computeBufferBytes = 512 * 1024 * 1024, rules = [] }) {
+        const kvCacheBytes = this._getKvCacheBytes(contextLength, kvCacheType, parallel);
+
+        let remainingBytes = vramBytes - kvCacheBytes - computeBufferBytes;
+        let gpuWeightBytes = 0;
+        let cpuBytes = 0;
+        let full = remainingBytes < 0;
+        const placements = this.getTensorsForOffload({ rules }).map(tensor => {
+            const size = tensor.getByteSize();
+            const isInputEmbedding = this._isInputEmbedding(tensor);
+            if (!full && !isInputEmbedding && size <= remainingBytes) {
+                remainingBytes -= size;
+                gpuWeightBytes += size;
+                return { tensor, device: 'GPU' };
+            }
+            if (!isInputEmbedding) full = true;
+            cpuBytes += size;
+            return { tensor, device: 'CPU' };
+        });
+
+        const tensorOverrides = GgufMetadata._getTensorOverrides(placements.filter(p => p.device === 'CPU' && !this._isInputEmbedding(p.tensor)).map(p => p.tensor), 'CPU');
+        const gpuLayers = this._getBlockCount() + 1; // +1 so the output layer is offloaded too
+
+        const args = ['-ngl', `${gpuLayers}`, ...GgufMetadata._getKvCacheArgs(contextLength, kvCacheType, parallel)];
+        tensorOverrides.forEach(override => args.push('-ot', override));
+
+        return {
+            gpuLayers,
+            tensorOverrides,
+            args,
+            commandLine: GgufMetadata._formatCommandLine(args),
+            fits: vramBytes >= kvCacheBytes + computeBufferBytes,
+            weightsFit: placements.every(p => p.device === 'GPU' || this._isInputEmbedding(p.tensor)),
+            overBudgetBytes: Math.max(0, gpuWeightBytes + kvCacheBytes + computeBufferBytes - vramBytes),
+            gpuBytes: gpuWeightBytes + kvCacheBytes + computeBufferBytes,
+            cpuBytes,
+            gpuWeightBytes,
+            kvCacheBytes,
+            computeBufferBytes,
+            placements,
+        };
+    }
+
+    /**
+     * Plans a layer split across several GPUs with different VRAM budgets, producing a --tensor-split ratio and per-device -ot assignments.
+     * Each block (with its share of the KV cache) is assigned to one device, in contiguous ranges sized by each device's budget, as
+     * llama.cpp does for --split-mode layer. Tensors are then placed in getTensorsForOffload() order, each on its block's device if
+     * there's room left, otherwise on whichever other GPU has the most room, otherwise on the CPU.
+     * The output layer goes on the main GPU. The compute buffer reserve is taken from every device; if that leaves no device any room,
+     * the blocks are split evenly and every tensor stays on the CPU. fits says whether every device's KV cache and compute buffer fit in
+     * its budget; a device's freeBytes is negative when they don't.
+     * @param {object} options
+     * @param {number[]} options.vramBytes - The VRAM budget of each GPU in bytes, in device order
+     * @param {number} [options.mainGpu=0] - The index of the main GPU (-mg)
+     * @param {number} [options.contextLength=4096] - The context length (-c) to reserve KV cache for
+     * @param {string} [options.kvCacheType='f16'] - The KV cache type (-ctk/-ctv)
+     * @param {number} [options.parallel=1] - The number of parallel sequences (-np)
+     * @param {number} [options.computeBufferBytes=536870912] - VRAM to leave for llama.cpp's compute buffers on each device
+     * @param {string} [options.backend='CUDA'] - The llama.cpp backend name, used to name the devices in -ot, e.g., CUDA0 or Vulkan1
+     * @param {object[]} [options.rules] - Offload rules that override the defaults; see getTensorsForOffload
+     * @returns {{gpuLayers: number, tensorSplit: number[], tensorOverrides: string[], args: string[], commandLine: string, fits: boolean,
+     *     cpuBytes: number, kvCacheBytes: number, devices: {name: string, vramBytes: number, blocks: number[], weightBytes: number, kvCacheBytes: number,
+     *     computeBufferBytes: number, usedBytes: number, freeBytes: number}[], placements: {tensor: TensorInfo, device: string}[]}}
+     */
+    planMultiGpuOffload({ vramBytes, mainGpu = 0, contextLength = 4096, kvCacheType = 'f16', parallel = 1, computeBufferBytes = 512 * 1024 * 1024, backend = 'CUDA', rules = [] }) {
+        if (!Array.isArray(vramBytes) || !vramBytes.length) {
+            throw new Error("vramBytes must be an array with one budget per GPU.");
+        }
+        if (mainGpu < 0 || mainGpu >= vramBytes.length) {
+            throw new Error(`Main GPU ${mainGpu} is out of range for ${vramBytes.length} GPUs.`);
+        }
+
+        const blockCount = this._getBlockCount();
+        const kvEstimate = this.estimateKvCache({ contextLength, cacheType: kvCacheType, parallel });
+        const kvCacheBytes = kvEstimate.totalBytes;
+        const getBlockKvBytes = block => {
+            const layer = kvEstimate.layers[block];
+            return layer ? layer.kBytes + layer.vBytes + layer.recurrentBytes : 0;
+        };
+        const devices = vramBytes.map((budget, i) => ({
+            name: `${backend}${i}`, vramBytes: budget, blocks: [], weightBytes: 0, kvCacheBytes: 0,
+            computeBufferBytes, usedBytes: computeBufferBytes, freeBytes: budget - computeBufferBytes,
+        }));
+
+        // Assign contiguous ranges of blocks to devices in proportion to their budgets, based on the shared (non-expert) weights plus KV cache,
+        // since those are what has to be on the same device as the block for it to run there.
+        const blockBytes = Array.from({ length: blockCount }, (_, block) => getBlockKvBytes(block));
+        for (const tensor of this.tensors) {
+            const blockNumber = tensor.getBlockNumber();
+            if (blockNumber >= 0 && blockNumber < blockCount && this.getTensorRole(tensor).role !== TensorRole.ROUTED_EXPERT) {
+                blockBytes[blockNumber] += tensor.getByteSize();
+            }
+        }
+        const totalBlockBytes = blockBytes.reduce((sum, bytes) => sum + bytes, 0);
+        const totalBudget = devices.reduce((sum, device) => sum + Math.max(0, device.freeBytes), 0);
+        const shares = devices.map(device => totalBudget > 0 ? Math.max(0, device.freeBytes) / totalBudget : 1 / devices.length);
+        const blockDevices = [];
+        let deviceIndex = 0;
+        let deviceLimit = totalBlockBytes * shares[0];
+        let cumulativeBytes = 0;
+        for (let block = 0; block < blockCount; block++) {
+            // Move on to the next device once this block's midpoint passes the current device's share
+            while (deviceIndex < devices.length - 1 && cumulativeBytes + blockBytes[block] / 2 > deviceLimit) {
+                deviceIndex++;
+                deviceLimit += totalBlockBytes * shares[deviceIndex];
+            }
+            blockDevices.push(deviceIndex);
+            devices[deviceIndex].blocks.push(block);
+            devices[deviceIndex].kvCacheBytes += getBlockKvBytes(block);
+            devices[deviceIndex].usedBytes += getBlockKvBytes(block);
+            devices[deviceIndex].freeBytes -= getBlockKvBytes(block);
+            cumulativeBytes += blockBytes[block];
+        }
+
+        let cpuBytes = 0;
+        const placements = this.getTensorsForOffload({ rules }).map(tensor => {
+            const size = tensor.getByteSize();
+            if (this._isInputEmbedding(tensor)) {
+                cpuBytes += size;
+                return { tensor, device: 'CPU' };
+            }
+            const blockNumber = tensor.getBlockNumber();
+            const preferred = devices[blockNumber >= 0 && blockNumber < blockCount ? blockDevices[blockNumber] : mainGpu];
+            const device = preferred.freeBytes >= size ? preferred
+                : devices.filter(d => d.freeBytes >= size).sort((a, b) => b.freeBytes - a.freeBytes)[0];
+            if (!device) {
+                cpuBytes += size;
+                return { tensor, device: 'CPU' };
+            }
+            device.weightBytes += size;
+            device.usedBytes += size;
+            device.freeBytes -= size;
+            return { tensor, device: device.name };
+        });
+
+        // llama.cpp puts a block's tensors on the block's device and the output layer on the last block's device, so only the exceptions need -ot
+        const lastBlockDevice = devices[blockDevices[blockCount - 1] ?? mainGpu].name;
+        const overridesByDevice = {};
+        for (const { tensor, device } of placements) {
+            const blockNumber = tensor.getBlockNumber();
+            const naturalDevice = blockNumber >= 0 && blockNumber < blockCount ? devices[blockDevices[blockNumber]].name : lastBlockDevice;
+            if (device !== naturalDevice && !this._isInputEmbedding(tensor)) {
+                (overridesByDevice[device] ??= []).push(tensor);
+            }
+        }
+        const tensorOverrides = Object.entries(overridesByDevice).flatMap(([device, tensors]) => GgufMetadata._getTensorOverrides(tensors, device));
+
+        const tensorSplit = devices.map(device => device.blocks.length);
+        const gpuLayers = blockCount + 1;
+        const args = ['-ngl', `${gpuLayers}`, '--split-mode', 'layer', '--tensor-split', tensorSplit.join(','), '-mg', `${mainGpu}`,
+            ...GgufMetadata._getKvCacheArgs(contextLength, kvCacheType, parallel)];
+        tensorOverrides.forEach(override => args.push('-ot', override));
+
+        return {
+            gpuLayers,
+            tensorSplit,
+            tensorOverrides,
+            args,
+            commandLine: GgufMetadata._formatCommandLine(args),
+            fits: devices.every(device => device.freeBytes >= 0),
+            cpuBytes,
+            kvCacheBytes,
+            devices,
+            placements,
+        };
+    }
+
+    /**
+     * Whether a tensor is one of the input embeddings, which llama.cpp keeps in system RAM no matter what, since they're only used for lookups.
+     */
+    _isInputEmbedding(tensor) {
+        return this.getTensorRole(tensor).role === TensorRole.EMBEDDING;
+    }
+
+    /**
+     * Gets the number of repeating blocks, from {arch}.block_count or else the highest blk.N in the tensor names.
+     */
+    _getBlockCount() {
+        return this.uint32Values[`${this.stringValues['general.architecture']}.block_count`]
+            || Math.max(-1, ...this.tensors.map(tensor => tensor.getBlockNumber())) + 1;
+    }
+
+    /**
+     * Gets the total KV cache size in bytes for the given context length, cache type, and number of parallel sequences.
+     */
+    _getKvCacheBytes(contextLength, kvCacheType, parallel = 1) {
+        return this.estimateKvCache({ contextLength, cacheType: kvCacheType, parallel }).totalBytes;
+    }
+
+    static _getKvCacheArgs(contextLength, kvCacheType, parallel = 1) {
+        const args = ['-c', `${contextLength}`];
+        if (kvCacheType.toLowerCase() !== 'f16') {
+            args.push('-ctk', kvCacheType.toLowerCase(), '-ctv', kvCacheType.toLowerCase());
+        }
+        if (parallel > 1) {
+            args.push('-np', `${parallel}`);
+        }
+        return args;
+    }
+
+    /**
+     * Joins command line arguments, quoting the ones a shell would otherwise mangle.
+     */
+    static _formatCommandLine(args) {
+        return args.map(arg => /[\s\\"|()*]/.test(arg) ? `"${arg}"` : arg).join(' ');
+    }
+
+    /**
+     * Builds --override-tensor patterns that put the given tensors in the given buffer type (CPU or a device name). Tensors that
+     * only differ by block number are combined into one pattern, e.g., blk\.(3|4|5)\.ffn_up_exps\.weight=CPU.
+     */
+    static _getTensorOverrides(tensors, bufferType) {
+        const blocksByPattern = {};
+        for (const tensor of tensors) {
+            const blockNumber = tensor.getBlockNumber();
+            const escapedName = tensor.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            if (blockNumber < 0) {
+                blocksByPattern[escapedName] = null;
+            } else {
+                const pattern = escapedName.replace(/^blk\\\.\d+\\\./, 'blk\\.{}\\.');
+                (blocksByPattern[pattern] ??= []).push(blockNumber);
+            }
+        }
+        return Object.entries(blocksByPattern).map(([pattern, blocks]) =>
+            (blocks ? pattern.replace('{}', blocks.length === 1 ? `${blocks[0]}` : `(${blocks.sort((a, b) => a - b).join('|')})`) : pattern) + `=${bufferType}`);
+    }
+}
+
+/**
+ * The hyperparameters that determine the KV cache size, normalized from either GGUF metadata or a Hugging Face config.json.
+ * @typedef {object} KvHyperparameters
+ * @property {string} [architecture] - The GGUF architecture name, e.g., "llama"
+ * @property {number} layerCount - The number of blocks
+ * @property {number[]} headCountKv - KV heads per layer; 0 for layers without attention
+ * @property {number} keyLength - The K head dimension
+ * @property {number} valueLength - The V head dimension
+ * @property {number} kvLoraRank - The MLA latent size, or 0 if the model doesn't use MLA
+ * @property {number} ropeDimension - The RoPE part of the key, which MLA caches alongside the latent
+ * @property {number} slidingWindow - The sliding window size, or 0
+ * @property {boolean[]} swaLayers - Whether each layer uses sliding window attention
+ * @property {boolean[]} recurrentLayers - Whether each layer keeps a recurrent state instead of a KV cache
+ * @property {number} recurrentStateBytes - The recurrent state size per layer per sequence
+ * @property {string[]} warnings - Defaults that had to be assumed
+ */
+
+/**
+ * What a model is, normalized from its general.* and {arch}.* keys by GgufMetadata.getModelSummary. Values the file doesn't have are undefined.
+ * @typedef {object} ModelSummary
+ * @property {string} [architecture] - The GGUF architecture name, e.g., "llama"
+ * @property {string} [name] - general.name
+ * @property {string} [sizeLabel] - general.size_label, e.g., "8x7B"
+ * @property {number} [fileType] - general.file_type, llama.cpp's llama_ftype for the quantization the file was made with
+ * @property {string} [fileTypeName] - The file type's name from LlamaFileTypes, e.g., "Q4_K_M"
+ * @property {number} parameterCount - The number of weights in the tensors
+ * @property {number} [contextLength] - The context length the model was trained for
+ * @property {number} [embeddingLength] - The hidden size
+ * @property {number|number[]} [feedForwardLength] - The FFN width; per layer if the layers differ
+ * @property {number} [layerCount] - The number of blocks
+ * @property {number|number[]} [headCount] - Attention heads; per layer if the layers differ
+ * @property {number|number[]} [headCountKv] - KV heads; per layer if the layers differ
+ * @property {number} [keyLength] - The K head dimension, defaulting to embeddingLength / headCount as llama.cpp does
+ * @property {number} [valueLength] - The V head dimension, with the same default
+ * @property {{dimensionCount?: number, freqBase?: number, scalingType?: string, scalingFactor?: number, originalContextLength?: number}} rope
+ * @property {number} [expertCount] - The number of experts in MoE layers
+ * @property {number} [expertUsedCount] - The experts active per token
+ * @property {number} [expertSharedCount] - The always-active shared experts
+ */
+
+/**
+ * Statistics of a tensor's weights, from computeTensorStats.
+ * @typedef {object} TensorStats
+ * @property {number} count - Weights looked at
+ * @property {number} min - Smallest finite weight
+ * @property {number} max - Largest finite weight
+ * @property {number} mean - Mean of the finite weights
+ * @property {number} std - Population standard deviation of the finite weights
+ * @property {number} nanCount - NaN weights
+ * @property {number} infCount - Infinite weights, of either sign
+ * @property {number} zeroFraction - Fraction of all the weights that are exactly zero
+ */
+
+/**
+ * How far GgufMetadata.loadFromFile has got, passed to its onProgress callback.
+ * @typedef {object} GgufLoadProgress
+ * @property {number} bytesRead - Bytes read from the file so far
+ * @property {number} totalBytes - Size of the file
+ * @property {number} keyValuesParsed - Key-value pairs parsed so far
+ * @property {number} keyValueCount - Key-value pairs in the header
+ * @property {number} tensorsParsed - Tensor infos parsed so far
+ * @property {number} tensorCount - Tensor infos in the header
+ */
+
+/**
+ * Known sliding window layouts from llama.cpp's model loader, by GGUF architecture name: layer i uses SWA unless (i + 1) is a multiple of the pattern.
+ */
+const SwaLayerPatterns = { gemma2: 2, gemma3: 6, cohere2: 4, 'gpt-oss': 2, exaone4: 4 };
+
+/**
+ * Estimates the KV cache size the way llama.cpp allocates it, for a given context length, cache type, and number of parallel sequences.
+ * This handles per-layer KV head counts, sliding window attention layers (which only cache the window), MLA's compressed latent cache
+ * (DeepSeek), and the fixed-size recurrent state of Mamba, RWKV, and hybrid models.
+ * @param {KvHyperparameters} hparams - From GgufMetadata.getKvHyperparameters or getKvHyperparametersFromJson
+ * @param {object} [options]
+ * @param {number} [options.contextLength=4096] - The total context length (-c), shared by all sequences
+ * @param {string} [options.cacheType='f16'] - The type for both K and V, e.g., "f16", "q8_0", or "q4_0"
+ * @param {string} [options.kCacheType] - The K cache type (-ctk), if different from cacheType
+ * @param {string} [options.vCacheType] - The V cache type (-ctv), if different from cacheType
+ * @param {number} [options.parallel=1] - The number of parallel sequences (-np), which each get their own SWA window and recurrent state
+ * @returns {{totalBytes: number, kBytes: number, vBytes: number, recurrentBytes: number, bytesPerToken: number, formula: string, warnings: string[],
+ *     layers: {layer: number, kind: string, tokens: number, kBytes: number, vBytes: number, recurrentBytes: number}[]}}
+ *     bytesPerToken is what every attention layer adds per token before any sliding window limit.
+ */
+function estimateKvCacheFromHyperparameters(hparams, { contextLength = 4096, cacheType = 'f16', kCacheType = cacheType, vCacheType = cacheType, parallel = 1 } = {}) {
+    const kBytesPerElement = getCacheTypeBytes(kCacheType);
+    const vBytesPerElement = getCacheTypeBytes(vCacheType);
+
+    const layers = [];
+    let bytesPerToken = 0;
+    for (let layer = 0; layer < hparams.layerCount; layer++) {
+        const headCountKv = hparams.headCountKv[layer] ?? 0;
+        const entry = { layer, kind: 'none', tokens: 0, kBytes: 0, vBytes: 0, recurrentBytes: 0 };
+        if (hparams.recurrentLayers[layer]) {
+            entry.kind = 'recurrent';
+            entry.recurrentBytes = hparams.recurrentStateBytes * parallel;
+        } else if (headCountKv > 0) {
+            // MLA caches one compressed latent vector plus the RoPE part of the key per token instead of per-head K and V.
+            // llama.cpp reads V back out of that latent, so there's no separate V cache.
+            const kPerToken = hparams.kvLoraRank ? (hparams.kvLoraRank + hparams.ropeDimension) * kBytesPerElement : headCountKv * hparams.keyLength * kBytesPerElement;
+            const vPerToken = hparams.kvLoraRank ? 0 : headCountKv * hparams.valueLength * vBytesPerElement;
+            const swa = hparams.swaLayers[layer];
+            entry.kind = hparams.kvLoraRank ? 'mla' : swa ? 'swa' : 'full';
+            entry.tokens = swa ? Math.min(contextLength, hparams.slidingWindow * parallel) : contextLength;
+            entry.kBytes = entry.tokens * kPerToken;
+            entry.vBytes = entry.tokens * vPerToken;
+            bytesPerToken += kPerToken + vPerToken;
+        }
+        layers.push(entry);
+    }
+
+    const kinds = new Set(layers.map(entry => entry.kind).filter(kind => kind !== 'none'));
+    const kBytes = layers.reduce((sum, entry) => sum + entry.kBytes, 0);
+    const vBytes = layers.reduce((sum, entry) => sum + entry.vBytes, 0);
+    const recurrentBytes = layers.reduce((sum, entry) => sum + entry.recurrentBytes, 0);
+    return {
+        totalBytes: Math.ceil(kBytes + vBytes + recurrentBytes),
+        kBytes: Math.ceil(kBytes),
+        vBytes: Math.ceil(vBytes),
+        recurrentBytes,
+        bytesPerToken,
+        // e.g., "full", "full+swa" for Gemma, "mla" for DeepSeek, "full+recurrent" for hybrids
+        formula: [...kinds].sort().join('+') || 'none',
+        warnings: hparams.warnings.slice(),
+        layers,
+    };
+}
+
+/**
+ * Gets the size in bytes of one layer's recurrent state for one sequence, for SSM (Mamba), RWKV, and short convolution (LFM2) layers.
+ * llama.cpp always keeps these states in F32. Returns 0 if none of the sets of sizes is complete.
+ */
+function getRecurrentStateBytes({ convKernel, innerSize, stateSize, groupCount, wkvHeadSize, shortConvCache, embeddingLength }) {
+    if (convKernel && innerSize) {
+        // Rolling convolution state plus the SSM state
+        return ((convKernel - 1) * (innerSize + 2 * (groupCount || 0) * (stateSize || 0)) + (stateSize || 0) * innerSize) * 4;
+    }
+    if (wkvHeadSize && embeddingLength) {
+        // Token shift for attention and FFN, plus the WKV state
+        return (2 * embeddingLength + embeddingLength * wkvHeadSize) * 4;
+    }
+    if (shortConvCache && embeddingLength) {
+        return (shortConvCache - 1) * embeddingLength * 4;
+    }
+    return 0;
+}
+
+/**
+ * Works out which layers use sliding window attention, from a per-layer pattern array if there is one, otherwise a numeric pattern
+ * where every Nth layer is global, otherwise the architecture's known pattern. If none of those is available, all layers are assumed
+ * to use full attention, which overestimates rather than underestimates, and a warning is added.
+ * @param {string} arch - The GGUF architecture name
+ * @param {number} slidingWindow - The window size; if 0, no layer uses SWA
+ * @param {number} layerCount
+ * @param {ArrayLike<boolean|number>|number|undefined} pattern - Per-layer flags (true for SWA) or a numeric pattern
+ * @param {string[]} warnings
+ * @returns {boolean[]}
+ */
+function getSwaLayers(arch, slidingWindow, layerCount, pattern, warnings) {
+    if (!slidingWindow) {
+        return new Array(layerCount).fill(false);
+    }
+    if (pattern && typeof pattern === 'object') {
+        return Array.from({ length: layerCount }, (_, layer) => !!pattern[layer]);
+    }
+    const period = pattern || SwaLayerPatterns[arch];
+    if (!period) {
+        warnings.push(`A sliding window of ${slidingWindow} is set but the SWA layer pattern is unknown; assuming every layer uses full attention.`);
+        return new Array(layerCount).fill(false);
+    }
+    return Array.from({ length: layerCount }, (_, layer) => (layer + 1) % period !== 0);
+}
+
+/**
+ * The KV cache types llama.cpp accepts for -ctk and -ctv; other ggml types are rejected at startup.
+ */
+const KvCacheTypes = ['f32', 'f16', 'bf16', 'q8_0', 'q4_0', 'q4_1', 'iq4_nl', 'q5_0', 'q5_1'];
+
+/**
+ * Gets the bytes per element of a KV cache type, e.g., 2 for f16 or 34/32 for q8_0.
+ */
+function getCacheTypeBytes(cacheType) {
+    const sizes = GgmlTypes[GgmlType[cacheType.toUpperCase()]];
+    if (!sizes) {
+        throw new Error(`Unknown KV cache type ${cacheType}`);
+    }
+    return sizes.typeSize / sizes.blockSize;
+}
+
+/**
+ * Maps Hugging Face model_type values to GGUF architecture names where they differ, for looking up architecture-specific defaults.
+ */
+const HfModelTypeArchitectures = { gemma3_text: 'gemma3', gpt_oss: 'gpt-oss', deepseek_v2: 'deepseek2', deepseek_v3: 'deepseek2' };
+
+/**
+ * Reads the hyperparameters that determine the KV cache size from a Hugging Face config.json into the same normalized form that
+ * GgufMetadata.getKvHyperparameters produces. Multimodal configs (Gemma 3, Llava, Qwen-VL, etc.) keep the language model's settings
+ * in a nested text_config, which takes precedence over the top level.
+ * @param {string|object} json - A JSON string or object
+ * @returns {KvHyperparameters}
+ */
+function getKvHyperparametersFromJson(json) {
+    let obj;
+    if (typeof json === 'string') {
+        if (!json.trim()) throw new Error("Input JSON cannot be null or empty.");
+        obj = JSON.parse(json);
+    } else if (typeof json === 'object' && json !== null) {
+        obj = json;
+    } else {
+        throw new Error("Input must be a JSON string or object.");
+    }
+
+    const config = { ...obj, ...(obj.text_config || obj.language_config || obj.llm_config) };
+    const number = (...keys) => keys.map(key => config[key]).find(value => typeof value === 'number');
+    const warnings = [];
+
+    const layerCount = number('num_hidden_layers', 'n_layer', 'num_layers');
+    if (typeof layerCount !== 'number') {
+        throw new Error("JSON must contain the numeric key num_hidden_layers.");
+    }
+    const modelType = config.model_type;
+    const arch = HfModelTypeArchitectures[modelType] ?? modelType;
+    const hiddenSize = number('hidden_size', 'd_model', 'n_embd');
+    const attentionHeads = number('num_attention_heads', 'n_head');
+    // A missing num_key_value_heads means plain multi-head attention, with as many KV heads as attention heads
+    const kvHeads = number('num_key_value_heads', 'num_kv_heads') ?? attentionHeads;
+
+    // Which layers are attention, sliding window attention, or recurrent
+    const layerKinds = new Array(layerCount).fill('attention');
+    if (Array.isArray(config.layer_types)) {
+        config.layer_types.slice(0, layerCount).forEach((type, layer) => {
+            layerKinds[layer] = type === 'sliding_attention' ? 'sliding' : /attention/.test(type) && type !== 'linear_attention' ? 'attention' : 'recurrent';
+        });
+    } else if (typeof config.hybrid_override_pattern === 'string') {
+        // Nemotron-H: M = Mamba, * = attention, - = MLP only
+        [...config.hybrid_override_pattern].slice(0, layerCount).forEach((symbol, layer) => {
+            layerKinds[layer] = symbol === '*' ? 'attention' : symbol === 'M' ? 'recurrent' : 'none';
+        });
+    } else if (typeof config.attn_layer_period === 'number') {
+        // Jamba: one attention layer per period, the rest Mamba
+        for (let layer = 0; layer < layerCount; layer++) {
+            layerKinds[layer] = layer % config.attn_layer_period === (config.attn_layer_offset ?? 0) ? 'attention' : 'recurrent';
+        }
+    }
+
+    const innerSize = number('mamba_d_inner', 'd_inner', 'ssm_inner_size')
+        ?? (config.mamba_num_heads && config.mamba_head_dim ? config.mamba_num_heads * config.mamba_head_dim : undefined)
+        ?? (/mamba/.test(modelType) ? number('intermediate_size') : undefined)
+        ?? (hiddenSize && number('mamba_expand', 'expand') ? hiddenSize * number('mamba_expand', 'expand') : undefined);
+    const recurrentStateBytes = getRecurrentStateBytes({
+        convKernel: number('mamba_d_conv', 'conv_kernel', 'd_conv'),
+        innerSize,
+        stateSize: number('mamba_d_state', 'ssm_state_size', 'state_size', 'd_state'),
+        groupCount: number('mamba_n_groups', 'n_groups'),
+        wkvHeadSize: /rwkv/.test(modelType) ? number('head_size') : undefined,
+        shortConvCache: number('conv_L_cache'),
+        embeddingLength: hiddenSize,
+    });
+    const isPureRecurrent = recurrentStateBytes > 0 && typeof attentionHeads !== 'number';
+    if (isPureRecurrent) layerKinds.fill('recurrent');
+    if (!recurrentStateBytes && layerKinds.includes('recurrent')) {
+        warnings.push("Some layers are recurrent but their state size couldn't be determined; counting them as having no cache.");
+    }
+
+    const kvLoraRank = typeof config.kv_lora_rank === 'number' ? config.kv_lora_rank : 0;
+    const defaultHeadDim = hiddenSize && attentionHeads ? hiddenSize / attentionHeads : undefined;
+    const keyLength = number('head_dim', 'd_kv')
+        ?? (typeof config.qk_nope_head_dim === 'number' && typeof config.qk_rope_head_dim === 'number' ? config.qk_nope_head_dim + config.qk_rope_head_dim : undefined)
+        ?? defaultHeadDim;
+    const valueLength = number('v_head_dim', 'head_dim', 'd_kv') ?? defaultHeadDim;
+    if (!isPureRecurrent && (typeof kvHeads !== 'number' || (!keyLength && !kvLoraRank))) {
+        throw new Error("JSON does not contain sufficient information to determine kvSize.");
+    }
+
+    // Qwen2-style configs carry a sliding_window that's switched off by use_sliding_window
+    const slidingWindow = config.use_sliding_window === false ? 0 : number('sliding_window') || 0;
+    const swaLayers = layerKinds.includes('sliding')
+        ? layerKinds.map(kind => kind === 'sliding')
+        : getSwaLayers(arch, slidingWindow, layerCount, number('sliding_window_pattern'), warnings);
+
+    return {
+        architecture: arch,
+        layerCount,
+        headCountKv: layerKinds.map(kind => kind === 'attention' || kind === 'sliding' ? (kvLoraRank ? 1 : kvHeads) : 0),
+        keyLength: keyLength || 0,
+        valueLength: valueLength || 0,
+        kvLoraRank,
+        ropeDimension: number('qk_rope_head_dim') || 0,
+        slidingWindow,
+        swaLayers,
+        recurrentLayers: layerKinds.map(kind => kind === 'recurrent' && recurrentStateBytes > 0),
+        recurrentStateBytes,
+        warnings,
+    };
+}
+
+/**
+ * Estimates the KV cache size from a Hugging Face config.json. See estimateKvCacheFromHyperparameters for the options and result.
+ * @param {string|object} json - A JSON string or object
+ */
+function estimateKvCacheFromJson(json, options = {}) {
+    return estimateKvCacheFromHyperparameters(getKvHyperparametersFromJson(json), options);
+}
+
+/**
+ * Calculates the key-value cache size per token based on provided JSON metadata, assuming 2-byte (f16) entries.
+ * This goes through the same estimator as GgufMetadata.getKvCacheKBPerToken, so a config.json and a GGUF of the same model agree.
+ * @param {string|object} json - A JSON string or object with keys: num_attention_heads, num_hidden_layers, num_key_value_heads, etc.
+ * @returns {number} The size of the key-value cache in kilobytes required per token.
+ */
+function getKvCacheKBPerTokenFromJson(json) {
+    return Math.floor(estimateKvCacheFromJson(json, { contextLength: 1 }).bytesPerToken / 1024);
+}
+
+/**
+ * The special token ids a GGUF tokenizer can declare, by the name getTokenizerInfo reports them under.
+ */
+const TokenizerSpecialTokenKeys = {
+    bos: 'tokenizer.ggml.bos_token_id',
+    eos: 'tokenizer.ggml.eos_token_id',
+    eot: 'tokenizer.ggml.eot_token_id',
+    eom: 'tokenizer.ggml.eom_token_id',
+    unknown: 'tokenizer.ggml.unknown_token_id',
+    separator: 'tokenizer.ggml.seperator_token_id', // Sic; that's the key llama.cpp writes
+    padding: 'tokenizer.ggml.padding_token_id',
+    mask: 'tokenizer.ggml.mask_token_id',
+};
+
+/**
+ * Names of the tokenizer.ggml.token_type values, as in llama.cpp's llama_token_type.
+ */
+const TokenTypeNames = { 0: 'undefined', 1: 'normal', 2: 'unknown', 3: 'control', 4: 'user-defined', 5: 'unused', 6: 'byte' };
+
+/**
+ * A short conversation for previewing chat templates.
+ */
+const SampleChatMessages = [
+    { role: 'system', content: 'You are a helpful assistant.' },
+    { role: 'user', content: 'Hello! What can you do?' },
+    { role: 'assistant', content: 'I can answer questions and help with writing.' },
+    { role: 'user', content: 'Write a haiku about GPUs.' },
+];
+
+/**
+ * A small Jinja2 interpreter for previewing chat templates (tokenizer.chat_template). It covers what chat templates use: output,
+ * if/elif/else, for loops (with loop.*, else, and an if filter), set (including namespace attributes and set blocks), break and continue,
+ * comments, whitespace control, and expressions with Python-style operators, slicing, filters, tests, and string, list, and dict methods.
+ * Like Hugging Face's renderer, it renders with trim_blocks and lstrip_blocks on. Macros, includes, and call blocks throw.
+ */
+class JinjaTemplate {
+    /**
+     * Parses a template. Throws if the template uses syntax this interpreter doesn't support.
+     * @param {string} source - The template
+     */
+    constructor(source) {
+        this.source = source;
+        const segments = JinjaTemplate._lex(source);
+        const { nodes, index } = this._parseNodes(segments, 0, []);
+        if (index < segments.length) {
+            throw new Error(`Unexpected {% ${segments[index].source} %} at character ${segments[index].offset}`);
+        }
+        this.nodes = nodes;
+    }
+
+    /**
+     * Renders the template.
+     * @param {object} [context] - The variables, e.g., {messages, add_generation_prompt, bos_token, eos_token}
+     * @returns {string}
+     */
+    render(context = {}) {
+        const scope = Object.assign(Object.create(null), {
+            range: (start, stop, step = 1) => {
+                if (stop === undefined) [start, stop] = [0, start];
+                const values = [];
+                for (let i = start; step > 0 ? i < stop : i > stop; i += step) values.push(i);
+                return values;
+            },
+            namespace: (kwargs = {}) => ({ ...kwargs }),
+            raise_exception: message => {
+                throw new Error(`The template raised an exception: ${message}`);
+            },
+            strftime_now: format => JinjaTemplate._strftime(new Date(), format),
+        }, context);
+        const output = [];
+        this._execute(this.nodes, scope, output);
+        return output.join('');
+    }
+
+    /**
+     * Splits a template into text, output ({{ }}), and statement ({% %}) segments, dropping comments and applying whitespace control,
+     * trim_blocks (drop the newline after a block tag), and lstrip_blocks (drop the indentation before one).
+     */
+    static _lex(source) {
+        const segments = [];
+        const openPattern = /\{[{%#]/g;
+        let position = 0;
+        let stripLeading = false;
+        let trimNewline = false;
+        while (position <= source.length) {
+            openPattern.lastIndex = position;
+            const match = openPattern.exec(source);
+            let text = source.slice(position, match ? match.index : source.length);
+            if (stripLeading) {
+                text = text.replace(/^\s+/, '');
+            } else if (trimNewline) {
+                text = text.replace(/^\r?\n/, '');
+            }
+            if (!match) {
+                if (text) segments.push({ type: 'text', value: text });
+                break;
+            }
+
+            const kind = source[match.index + 1];
+            let contentStart = match.index + 2;
+            if (source[contentStart] === '-') {
+                text = text.replace(/\s+$/, '');
+                contentStart++;
+            } else if (source[contentStart] === '+') {
+                contentStart++;
+            } else if (kind !== '{') {
+                const lineStart = text.lastIndexOf('\n') + 1;
+                const startsLine = lineStart > 0 || position === 0 || source[position - 1] === '\n';
+                if (startsLine && /^[ \t]*$/.test(text.slice(lineStart))) text = text.slice(0, lineStart);
+            }
+            if (text) segments.push({ type: 'text', value: text });
+
+            const close = kind === '{' ? '}}' : kind === '%' ? '%}' : '#}';
+            const end = kind === '#' ? source.indexOf(close, contentStart) : JinjaTemplate._findClose(source, contentStart, close);
+            if (end < 0) {
+                throw new Error(`Unclosed ${source.substr(match.index, 2)} at character ${match.index}`);
+            }
+            stripLeading = source[end - 1] === '-' && end - 1 >= contentStart;
+            trimNewline = kind !== '{';
+            if (kind !== '#') {
+                segments.push({
+                    type: kind === '{' ? 'output' : 'statement',
+                    source: source.slice(contentStart, stripLeading || source[end - 1] === '+' ? end - 1 : end).trim(),
+                    offset: match.index,
+                });
+            }
+            position = end + 2;
+        }
+        return segments;
+    }
+
+    /**
+     * Finds the closing }} or %} of a tag, skipping over string literals that might contain one.
+     */
+    static _findClose(source, start, close) {
+        let quote = null;
+        for (let i = start; i < source.length - 1; i++) {
+            const char = source[i];
+            if (quote) {
+                if (char === '\\') i++;
+                else if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === close[0] && source[i + 1] === close[1]) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Parses segments into a tree until one of the endTags (e.g., ['elif', 'else', 'endif']) is reached.
+     * @returns {{nodes: object[], index: number, endTag: string|undefined, stream: object}} The nodes, the index of the end tag
+     * segment, its name, and its token stream (for elif's condition)
+     */
+    _parseNodes(segments, index, endTags) {
+        const nodes = [];
+        while (index < segments.length) {
+            const segment = segments[index];
+            if (segment.type === 'text') {
+                nodes.push({ type: 'text', value: segment.value });
+                index++;
+                continue;
+            }
+
+            const stream = JinjaTemplate._tokenize(segment.source, segment.offset);
+            if (segment.type === 'output') {
+                nodes.push({ type: 'output', expression: this._parseExpression(stream) });
+                this._expectEnd(stream);
+                index++;
+                continue;
+            }
+
+            const tag = this._expectName(stream);
+            if (endTags.includes(tag)) {
+                return { nodes, index, endTag: tag, stream };
+            }
+            index++;
+            switch (tag) {
+                case 'if': {
+                    const branches = [];
+                    let test = this._parseExpression(stream);
+                    this._expectEnd(stream);
+                    let otherwise = null;
+                    for (;;) {
+                        const result = this._parseNodes(segments, index, ['elif', 'else', 'endif']);
+                        this._expectEndTag(result, 'endif');
+                        branches.push({ test, body: result.nodes });
+                        index = result.index + 1;
+                        if (result.endTag === 'elif') {
+                            test = this._parseExpression(result.stream);
+                            this._expectEnd(result.stream);
+                        } else if (result.endTag === 'else') {
+                            this._expectEnd(result.stream);
+                            const elseResult = this._parseNodes(segments, index, ['endif']);
+                            this._expectEndTag(elseResult, 'endif');
+                            otherwise = elseResult.nodes;
+                            index = elseResult.index + 1;
+                            break;
+                        } else {
+                            break;
+                        }
+                    }
+                    nodes.push({ type: 'if', branches, otherwise });
+                    break;
+                }
+                case 'for': {
+                    const targets = [this._expectName(stream)];
+                    while (this._accept(stream, ',')) targets.push(this._expectName(stream));
+                    if (this._expectName(stream) !== 'in') {
+                        throw new Error(`Expected "in" in {% for %} at character ${segment.offset}`);
+                    }
+                    const iterable = this._parseOr(stream);
+                    const filter = this._acceptName(stream, 'if') ? this._parseExpression(stream) : null;
+                    this._expectEnd(stream);
+                    const result = this._parseNodes(segments, index, ['else', 'endfor']);
+                    this._expectEndTag(result, 'endfor');
+                    index = result.index + 1;
+                    let otherwise = null;
+                    if (result.endTag === 'else') {
+                        const elseResult = this._parseNodes(segments, index, ['endfor']);
+                        this._expectEndTag(elseResult, 'endfor');
+                        otherwise = elseResult.nodes;
+                        index = elseResult.index + 1;
+                    }
+                    nodes.push({ type: 'for', targets, iterable, filter, body: result.nodes, otherwise });
+                    break;
+                }
+                case 'set': {
+                    const name = this._expectName(stream);
+                    const attribute = this._accept(stream, '.') ? this._expectName(stream) : null;
+                    if (this._accept(stream, '=')) {
+                        nodes.push({ type: 'set', name, attribute, expression: this._parseExpression(stream) });
+                        this._expectEnd(stream);
+                    } else {
+                        // {% set name %}...{% endset %} captures the rendered body
+                        this._expectEnd(stream);
+                        const result = this._parseNodes(segments, index, ['endset']);
+                        this._expectEndTag(result, 'endset');
+                        index = result.index + 1;
+                        nodes.push({ type: 'set', name, attribute, body: result.nodes });
+                    }
+                    break;
+                }
+                case 'generation': {
+                    // Hugging Face's marker for assistant-generated text, used for training masks; it renders its body as is
+                    this._expectEnd(stream);
+                    const result = this._parseNodes(segments, index, ['endgeneration']);
+                    this._expectEndTag(result, 'endgeneration');
+                    index = result.index + 1;
+                    nodes.push(...result.nodes);
+                    break;
+                }
+                case 'break':
+                case 'continue':
+                    this._expectEnd(stream);
+                    nodes.push({ type: tag });
+                    break;
+                default:
+                    throw new Error(`Unsupported template tag {% ${tag} %} at character ${segment.offset}`);
+            }
+        }
+        return { nodes, index, endTag: undefined };
+    }
+
+    _expectEndTag(result, endTag) {
+        if (!result.endTag) {
+            throw new Error(`Missing {% ${endTag} %}`);
+        }
+    }
+
+    /**
+     * Splits an expression into number, string, name, and operator tokens.
+     */
+    static _tokenize(source, offset) {
+        const tokens = [];
+        const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*)|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|(\/\/|\*\*|==|!=|<=|>=|[-+*/%~|.,:()[\]{}<>=!]))/y;
+        let position = 0;
+        while (position < source.length) {
+            if (/^\s*$/.test(source.slice(position))) break;
+            pattern.lastIndex = position;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`Unexpected "${source.slice(position).trim()[0]}" in template expression "${source}" at character ${offset}`);
+            }
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'number', value: Number(match[1]) });
+            } else if (match[2] !== undefined) {
+                tokens.push({ type: 'name', value: match[2] });
+            } else if (match[3] !== undefined) {
+                tokens.push({ type: 'string', value: JinjaTemplate._unescape(match[3].slice(1, -1)) });
+            } else {
+                tokens.push({ type: 'operator', value: match[4] });
+            }
+            position = pattern.lastIndex;
+        }
+        return { tokens, position: 0, source, offset };
+    }
+
+    static _unescape(text) {
+        const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', "'": "'", '"': '"', '0': '\0' };
+        return text.replace(/\\(u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|.)/g, (_, escape) =>
+            escape.length > 1 ? String.fromCharCode(parseInt(escape.slice(1), 16)) : escapes[escape] ?? `\\${escape}`);
+    }
+
+    _peek(stream) {
+        return stream.tokens[stream.position];
+    }
+
+    _accept(stream, operator) {
+        const token = this._peek(stream);
+        if (token?.type === 'operator' && token.value === operator) {
+            stream.position++;
+            return true;
+        }
+        return false;
+    }
+
+    _acceptName(stream, name) {
+        const token = this._peek(stream);
+        if (token?.type === 'name' && token.value === name) {
+            stream.position++;
+            return true;
+        }
+        return false;
+    }
+
+    _expect(stream, operator) {
+        if (!this._accept(stream, operator)) {
+            throw new Error(`Expected "${operator}" in template expression "${stream.source}" at character ${stream.offset}`);
+        }
+    }
+
+    _expectName(stream) {
+        const token = this._peek(stream);
+        if (token?.type !== 'name') {
+            throw new Error(`Expected a name in template expression "${stream.source}" at character ${stream.offset}`);
+        }
+        stream.position++;
+        return token.value;
+    }
+
+    _expectEnd(stream) {
+        if (stream.position < stream.tokens.length) {
+            throw new Error(`Unexpected "${this._peek(stream).value}" in template expression "${stream.source}" at character ${stream.offset}`);
+        }
+    }
+
+    // Expression grammar, lowest precedence first: conditional, or, and, not, comparison, ~, + -, * / // %, **, unary -, postfix and filters
+    _parseExpression(stream) {
+        const value = this._parseOr(stream);
+        if (this._acceptName(stream, 'if')) {
+            const test = this._parseOr(stream);
+            const otherwise = this._acceptName(stream, 'else') ? this._parseExpression(stream) : { type: 'literal', value: undefined };
+            return { type: 'conditional', test, then: value, otherwise };
+        }
+        return value;
+    }
+
+    _parseOr(stream) {
+        let left = this._parseAnd(stream);
+        while (this._acceptName(stream, 'or')) left = { type: 'binary', operator: 'or', left, right: this._parseAnd(stream) };
+        return left;
+    }
+
+    _parseAnd(stream) {
+        let left = this._parseNot(stream);
+        while (this._acceptName(stream, 'and')) left = { type: 'binary', operator: 'and', left, right: this._parseNot(stream) };
+        return left;
+    }
+
+    _parseNot(stream) {
+        if (this._acceptName(stream, 'not')) return { type: 'unary', operator: 'not', operand: this._parseNot(stream) };
+        return this._parseComparison(stream);
+    }
+
+    _parseComparison(stream) {
+        let left = this._parseConcat(stream);
+        for (;;) {
+            const token = this._peek(stream);
+            let operator;
+            if (token?.type === 'operator' && ['==', '!=', '<', '>', '<=', '>='].includes(token.value)) {
+                stream.position++;
+                operator = token.value;
+            } else if (this._acceptName(stream, 'in')) {
+                operator = 'in';
+            } else if (token?.type === 'name' && token.value === 'not' && stream.tokens[stream.position + 1]?.value === 'in') {
+                stream.position += 2;
+                operator = 'not in';
+            } else {
+                return left;
+            }
+            left = { type: 'binary', operator, left, right: this._parseConcat(stream) };
+        }
+    }
+
+    _parseConcat(stream) {
+        let left = this._parseAdditive(stream);
+        while (this._accept(stream, '~')) left = { type: 'binary', operator: '~', left, right: this._parseAdditive(stream) };
+        return left;
+    }
+
+    _parseAdditive(stream) {
+        let left = this._parseMultiplicative(stream);
+        for (;;) {
+            const operator = ['+', '-'].find(candidate => this._accept(stream, candidate));
+            if (!operator) return left;
+            left = { type: 'binary', operator, left, right: this._parseMultiplicative(stream) };
+        }
+    }
+
+    _parseMultiplicative(stream) {
+        let left = this._parsePower(stream);
+        for (;;) {
+            const operator = ['*', '//', '/', '%'].find(candidate => this._accept(stream, candidate));
+            if (!operator) return left;
+            left = { type: 'binary', operator, left, right: this._parsePower(stream) };
+        }
+    }
+
+    _parsePower(stream) {
+        const left = this._parseUnary(stream);
+        return this._accept(stream, '**') ? { type: 'binary', operator: '**', left, right: this._parseUnary(stream) } : left;
+    }
+
+    _parseUnary(stream) {
+        if (this._accept(stream, '-')) return { type: 'unary', operator: '-', operand: this._parseUnary(stream) };
+        if (this._accept(stream, '+')) return this._parseUnary(stream);
+        return this._parseFilters(stream, this._parsePostfix(stream, this._parsePrimary(stream)));
+    }
+
+    _parseFilters(stream, value) {
+        for (;;) {
+            if (this._accept(stream, '|')) {
+                const name = this._expectName(stream);
+                const { args, kwargs } = this._peek(stream)?.value === '(' ? this._parseArguments(stream) : { args: [], kwargs: {} };
+                value = this._parsePostfix(stream, { type: 'filter', name, value, args, kwargs });
+            } else if (this._acceptName(stream, 'is')) {
+                const negate = this._acceptName(stream, 'not');
+                const name = this._expectName(stream);
+                let args = [];
+                if (this._peek(stream)?.value === '(') {
+                    args = this._parseArguments(stream).args;
+                } else if (this._peek(stream) && ['string', 'number'].includes(this._peek(stream).type)) {
+                    args = [this._parsePrimary(stream)];
+                }
+                value = { type: 'test', name, value, args, negate };
+            } else {
+                return value;
+            }
+        }
+    }
+
+    _parsePostfix(stream, value) {
+        for (;;) {
+            if (this._accept(stream, '.')) {
+                value = { type: 'attribute', object: value, name: this._expectName(stream) };
+            } else if (this._peek(stream)?.value === '(' && this._peek(stream).type === 'operator') {
+                value = { type: 'call', callee: value, ...this._parseArguments(stream) };
+            } else if (this._accept(stream, '[')) {
+                const parts = [null];
+                while (!this._accept(stream, ']')) {
+                    if (this._accept(stream, ':')) {
+                        parts.push(null);
+                    } else {
+                        parts[parts.length - 1] = this._parseExpression(stream);
+                    }
+                }
+                value = parts.length === 1
+                    ? { type: 'index', object: value, index: parts[0] }
+                    : { type: 'slice', object: value, start: parts[0], stop: parts[1], step: parts[2] ?? null };
+            } else {
+                return value;
+            }
+        }
+    }
+
+    _parseArguments(stream) {
+        this._expect(stream, '(');
+        const args = [];
+        const kwargs = {};
+        while (!this._accept(stream, ')')) {
+            const token = this._peek(stream);
+            if (token?.type === 'name' && stream.tokens[stream.position + 1]?.value === '=') {
+                stream.position += 2;
+                kwargs[token.value] = this._parseExpression(stream);
+            } else {
+                args.push(this._parseExpression(stream));
+            }
+            if (!this._accept(stream, ',')) {
+                this._expect(stream, ')');
+                break;
+            }
+        }
+        return { args, kwargs };
+    }
+
+    _parsePrimary(stream) {
+        const token = this._peek(stream);
+        if (!token) {
+            throw new Error(`Unexpected end of template expression "${stream.source}" at character ${stream.offset}`);
+        }
+        stream.position++;
+        if (token.type === 'number' || token.type === 'string') {
+            return { type: 'literal', value: token.value };
+        }
+        if (token.type === 'name') {
+            const constants = { true: true, True: true, false: false, False: false, none: null, None: null };
+            return token.value in constants ? { type: 'literal', value: constants[token.value] } : { type: 'name', name: token.value };
+        }
+        if (token.value === '(' || token.value === '[') {
+            const close = token.value === '(' ? ')' : ']';
+            const items = [];
+            let isTuple = token.value === '[';
+            while (!this._accept(stream, close)) {
+                items.push(this._parseExpression(stream));
+                if (!this._accept(stream, ',')) {
+                    this._expect(stream, close);
+                    break;
+                }
+                isTuple = true;
+            }
+            return isTuple ? { type: 'list', items } : items[0];
+        }
+        if (token.value === '{') {
+            const entries = [];
+            while (!this._accept(stream, '}')) {
+                const key = this._parseExpression(stream);
+                this._expect(stream, ':');
+                entries.push([key, this._parseExpression(stream)]);
+                if (!this._accept(stream, ',')) {
+                    this._expect(stream, '}');
+                    break;
+                }
+            }
+            return { type: 'dict', entries };
+        }
+        throw new Error(`Unexpected "${token.value}" in template expression "${stream.source}" at character ${stream.offset}`);
+    }
+
+    /**
+     * Runs nodes, appending text to output. Returns 'break' or 'continue' if one was hit, so the enclosing loop can act on it.
+     */
+    _execute(nodes, scope, output) {
+        for (const node of nodes) {
+            switch (node.type) {
+                case 'text':
+                    output.push(node.value);
+                    break;
+                case 'output':
+                    output.push(JinjaTemplate._toString(this._evaluate(node.expression, scope)));
+                    break;
+                case 'if': {
+                    const branch = node.branches.find(candidate => JinjaTemplate._isTruthy(this._evaluate(candidate.test, scope)));
+                    const body = branch ? branch.body : node.otherwise;
+                    const signal = body && this._execute(body, scope, output);
+                    if (signal) return signal;
+                    break;
+                }
+                case 'for':
+                    this._executeFor(node, scope, output);
+                    break;
+                case 'set': {
+                    let value;
+                    if (node.body) {
+                        const captured = [];
+                        this._execute(node.body, scope, captured);
+                        value = captured.join('');
+                    } else {
+                        value = this._evaluate(node.expression, scope);
+                    }
+                    if (node.attribute) {
+                        const target = scope[node.name];
+                        if (target === null || typeof target !== 'object') {
+                            throw new Error(`Can't set ${node.name}.${node.attribute}: ${node.name} isn't a namespace`);
+                        }
+                        target[node.attribute] = value;
+                    } else {
+                        scope[node.name] = value;
+                    }
+                    break;
+                }
+                case 'break':
+                case 'continue':
+                    return node.type;
+            }
+        }
+        return undefined;
+    }
+
+    _executeFor(node, scope, output) {
+        let items = this._evaluate(node.iterable, scope);
+        if (items === undefined || items === null) {
+            items = [];
+        } else if (typeof items === 'string') {
+            items = [...items];
+        } else if (!Array.isArray(items)) {
+            items = typeof items === 'object' ? Object.keys(items) : [];
+        }
+        if (node.filter) {
+            items = items.filter(item => {
+                const filterScope = Object.create(scope);
+                JinjaTemplate._assignTargets(filterScope, node.targets, item);
+                return JinjaTemplate._isTruthy(this._evaluate(node.filter, filterScope));
+            });
+        }
+        if (!items.length) {
+            if (node.otherwise) this._execute(node.otherwise, scope, output);
+            return;
+        }
+        for (let i = 0; i < items.length; i++) {
+            const loopScope = Object.create(scope);
+            JinjaTemplate._assignTargets(loopScope, node.targets, items[i]);
+            loopScope.loop = {
+                index: i + 1,
+                index0: i,
+                revindex: items.length - i,
+                revindex0: items.length - i - 1,
+                first: i === 0,
+                last: i === items.length - 1,
+                length: items.length,
+                previtem: items[i - 1],
+                nextitem: items[i + 1],
+                cycle: (...values) => values[i % values.length],
+            };
+            if (this._execute(node.body, loopScope, output) === 'break') break;
+        }
+    }
+
+    static _assignTargets(scope, targets, item) {
+        if (targets.length === 1) {
+            scope[targets[0]] = item;
+        } else {
+            targets.forEach((target, i) => scope[target] = item?.[i]);
+        }
+    }
+
+    _evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'name':
+                return scope[node.name];
+            case 'list':
+                return node.items.map(item => this._evaluate(item, scope));
+            case 'dict':
+                return Object.fromEntries(node.entries.map(([key, value]) => [this._evaluate(key, scope), this._evaluate(value, scope)]));
+            case 'attribute':
+                return JinjaTemplate._getAttribute(this._evaluate(node.object, scope), node.name);
+            case 'index': {
+                const object = this._evaluate(node.object, scope);
+                const index = this._evaluate(node.index, scope);
+                if (object === undefined || object === null) return undefined;
+                if ((Array.isArray(object) || typeof object === 'string') && typeof index === 'number') {
+                    return object[index < 0 ? object.length + index : index];
+                }
+                return JinjaTemplate._getAttribute(object, index);
+            }
+            case 'slice':
+                return JinjaTemplate._slice(this._evaluate(node.object, scope), ...[node.start, node.stop, node.step].map(part => part && this._evaluate(part, scope)));
+            case 'call': {
+                const callee = this._evaluate(node.callee, scope);
+                if (typeof callee !== 'function') {
+                    throw new Error(`${JinjaTemplate._describe(node.callee)} isn't a function the template renderer knows`);
+                }
+                const args = node.args.map(arg => this._evaluate(arg, scope));
+                const kwargs = Object.fromEntries(Object.entries(node.kwargs).map(([name, value]) => [name, this._evaluate(value, scope)]));
+                return Object.keys(kwargs).length ? callee(...args, kwargs) : callee(...args);
+            }
+            case 'filter':
+                return JinjaTemplate._applyFilter(node.name, this._evaluate(node.value, scope), node.args.map(arg => this._evaluate(arg, scope)),
+                    Object.fromEntries(Object.entries(node.kwargs).map(([name, value]) => [name, this._evaluate(value, scope)])));
+            case 'test': {
+                const result = JinjaTemplate._applyTest(node.name, this._evaluate(node.value, scope), node.args.map(arg => this._evaluate(arg, scope)));
+                return node.negate ? !result : result;
+            }
+            case 'unary': {
+                const operand = this._evaluate(node.operand, scope);
+                return node.operator === 'not' ? !JinjaTemplate._isTruthy(operand) : -operand;
+            }
+            case 'conditional':
+                return JinjaTemplate._isTruthy(this._evaluate(node.test, scope)) ? this._evaluate(node.then, scope) : this._evaluate(node.otherwise, scope);
+            case 'binary':
+                return this._evaluateBinary(node, scope);
+        }
+        throw new Error(`Unknown template node ${node.type}`);
+    }
+
+    _evaluateBinary(node, scope) {
+        const left = this._evaluate(node.left, scope);
+        if (node.operator === 'and') return JinjaTemplate._isTruthy(left) ? this._evaluate(node.right, scope) : left;
+        if (node.operator === 'or') return JinjaTemplate._isTruthy(left) ? left : this._evaluate(node.right, scope);
+        const right = this._evaluate(node.right, scope);
+        switch (node.operator) {
+            case '==': return JinjaTemplate._equals(left, right);
+            case '!=': return !JinjaTemplate._equals(left, right);
+            case '<': return left < right;
+            case '>': return left > right;
+            case '<=': return left <= right;
+            case '>=': return left >= right;
+            case 'in': return JinjaTemplate._contains(right, left);
+            case 'not in': return !JinjaTemplate._contains(right, left);
+            case '~': return JinjaTemplate._toString(left) + JinjaTemplate._toString(right);
+            case '+': return Array.isArray(left) ? left.concat(right) : left + right;
+            case '-': return left - right;
+            case '*': return typeof left === 'string' ? left.repeat(right) : left * right;
+            case '/': return left / right;
+            case '//': return Math.floor(left / right);
+            case '%': return ((left % right) + right) % right;
+            case '**': return left ** right;
+        }
+        throw new Error(`Unknown operator ${node.operator}`);
+    }
+
+    static _isTruthy(value) {
+        if (Array.isArray(value) || typeof value === 'string') return value.length > 0;
+        if (value !== null && typeof value === 'object') return Object.keys(value).length > 0;
+        return !!value;
+    }
+
+    static _equals(left, right) {
+        if (Array.isArray(left) && Array.isArray(right)) {
+            return left.length === right.length && left.every((item, i) => JinjaTemplate._equals(item, right[i]));
+        }
+        return left === right;
+    }
+
+    static _contains(container, item) {
+        if (typeof container === 'string') return container.includes(item);
+        if (Array.isArray(container)) return container.some(element => JinjaTemplate._equals(element, item));
+        if (container !== null && typeof container === 'object') return Object.prototype.hasOwnProperty.call(container, item);
+        return false;
+    }
+
+    static _slice(value, start, stop, step) {
+        if (value === undefined || value === null) return value;
+        const items = typeof value === 'string' ? [...value] : value;
+        step = step ?? 1;
+        const length = items.length;
+        const clamp = (index, fallback) => {
+            if (index === null || index === undefined) return fallback;
+            if (index < 0) index += length;
+            return Math.min(Math.max(index, step > 0 ? 0 : -1), step > 0 ? length : length - 1);
+        };
+        const result = [];
+        const from = clamp(start, step > 0 ? 0 : length - 1);
+        const to = clamp(stop, step > 0 ? length : -1);
+        for (let i = from; step > 0 ? i < to : i > to; i += step) result.push(items[i]);
+        return typeof value === 'string' ? result.join('') : result;
+    }
+
+    /**
+     * Looks up an attribute or key the way Jinja does for Python objects, including the string, list, and dict methods templates call.
+     */
+    static _getAttribute(object, name) {
+        if (object === undefined || object === null) return undefined;
+        if (typeof object === 'string') {
+            const method = JinjaTemplate._stringMethods[name];
+            return method ? (...args) => method(object, ...args) : undefined;
+        }
+        if (Array.isArray(object)) {
+            if (name === 'append') return item => { object.push(item); };
+            if (name === 'pop') return index => object.splice(index ?? -1, 1)[0];
+            if (name === 'index') return item => object.findIndex(element => JinjaTemplate._equals(element, item));
+            return undefined;
+        }
+        if (typeof object === 'object') {
+            if (Object.prototype.hasOwnProperty.call(object, name)) return object[name];
+            switch (name) {
+                case 'items': return () => Object.entries(object);
+                case 'keys': return () => Object.keys(object);
+                case 'values': return () => Object.values(object);
+                case 'get': return (key, fallback = null) => Object.prototype.hasOwnProperty.call(object, key) ? object[key] : fallback;
+            }
+        }
+        return undefined;
+    }
+
+    static _applyFilter(name, value, args, kwargs) {
+        switch (name) {
+            case 'trim': return JinjaTemplate._stringMethods.strip(JinjaTemplate._toString(value), args[0]);
+            case 'length':
+            case 'count': return value === undefined || value === null ? 0 : typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length;
+            case 'tojson': return JinjaTemplate._toJson(value, kwargs.indent ?? args[0] ?? null, '');
+            case 'upper': return JinjaTemplate._toString(value).toUpperCase();
+            case 'lower': return JinjaTemplate._toString(value).toLowerCase();
+            case 'capitalize': return JinjaTemplate._stringMethods.capitalize(JinjaTemplate._toString(value));
+            case 'title': return JinjaTemplate._stringMethods.title(JinjaTemplate._toString(value));
+            case 'string': return JinjaTemplate._toString(value);
+            case 'default':
+            case 'd': return value === undefined || ((kwargs.boolean ?? args[1]) && !JinjaTemplate._isTruthy(value)) ? args[0] ?? '' : value;
+            case 'first': return value?.[0];
+            case 'last': return value?.[value.length - 1];
+            case 'join': {
+                const items = kwargs.attribute ? value.map(item => JinjaTemplate._getAttribute(item, kwargs.attribute)) : [...value];
+                return items.map(JinjaTemplate._toString).join(args[0] ?? kwargs.d ?? '');
+            }
+            case 'list': return typeof value === 'string' ? [...value] : Array.isArray(value) ? [...value] : Object.keys(value ?? {});
+            case 'reverse': return typeof value === 'string' ? [...value].reverse().join('') : [...value].reverse();
+            case 'items': return Object.entries(value ?? {});
+            case 'int': return Math.trunc(Number(value)) || 0;
+            case 'float': return Number(value) || 0;
+            case 'abs': return Math.abs(value);
+            case 'round': return Number(value.toFixed(args[0] ?? 0));
+            case 'safe': return value;
+            case 'escape':
+            case 'e': return JinjaTemplate._toString(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&#34;', "'": '&#39;' })[char]);
+            case 'replace': return JinjaTemplate._stringMethods.replace(JinjaTemplate._toString(value), ...args);
+            case 'indent': {
+                const padding = typeof args[0] === 'string' ? args[0] : ' '.repeat(args[0] ?? kwargs.width ?? 4);
+                const first = args[1] ?? kwargs.first ?? false;
+                return JinjaTemplate._toString(value).split('\n').map((line, i) => (i > 0 || first) && line ? padding + line : line).join('\n');
+            }
+            case 'map':
+                if (kwargs.attribute) return value.map(item => JinjaTemplate._getAttribute(item, kwargs.attribute) ?? kwargs.default);
+                return value.map(item => JinjaTemplate._applyFilter(args[0], item, args.slice(1), {}));
+            case 'select':
+            case 'reject':
+                return value.filter(item => (name === 'select') === (args.length ? JinjaTemplate._applyTest(args[0], item, args.slice(1)) : JinjaTemplate._isTruthy(item)));
+            case 'selectattr':
+            case 'rejectattr':
+                return value.filter(item => {
+                    const attribute = JinjaTemplate._getAttribute(item, args[0]);
+                    const passes = args.length > 1 ? JinjaTemplate._applyTest(args[1], attribute, args.slice(2)) : JinjaTemplate._isTruthy(attribute);
+                    return (name === 'selectattr') === passes;
+                });
+            case 'unique': return [...new Set(value)];
+            case 'sort': return [...value].sort((a, b) => {
+                const [x, y] = kwargs.attribute ? [JinjaTemplate._getAttribute(a, kwargs.attribute), JinjaTemplate._getAttribute(b, kwargs.attribute)] : [a, b];
+                return (x < y ? -1 : x > y ? 1 : 0) * (kwargs.reverse ? -1 : 1);
+            });
+        }
+        throw new Error(`Unsupported template filter "${name}"`);
+    }
+
+    static _applyTest(name, value, args) {
+        switch (name) {
+            case 'defined': return value !== undefined;
+            case 'undefined': return value === undefined;
+            case 'none': return value === null;
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number';
+            case 'integer': return Number.isInteger(value);
+            case 'float': return typeof value === 'number' && !Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'true': return value === true;
+            case 'false': return value === false;
+            case 'mapping': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            case 'sequence':
+            case 'iterable': return Array.isArray(value) || typeof value === 'string' || (value !== null && typeof value === 'object');
+            case 'callable': return typeof value === 'function';
+            case 'equalto':
+            case 'eq':
+            case '==': return JinjaTemplate._equals(value, args[0]);
+            case 'ne':
+            case '!=': return !JinjaTemplate._equals(value, args[0]);
+            case 'in': return JinjaTemplate._contains(args[0], value);
+            case 'odd': return value % 2 === 1;
+            case 'even': return value % 2 === 0;
+            case 'divisibleby': return value % args[0] === 0;
+            case 'lower': return typeof value === 'string' && value === value.toLowerCase();
+            case 'upper': return typeof value === 'string' && value === value.toUpperCase();
+        }
+        throw new Error(`Unsupported template test "${name}"`);
+    }
+
+    /**
+     * Converts a value to text the way Jinja prints Python values: None, True, and False by name, lists and dicts as Python literals.
+     */
+    static _toString(value) {
+        if (value === undefined) return '';
+        if (typeof value === 'string') return value;
+        return JinjaTemplate._toPythonLiteral(value);
+    }
+
+    static _toPythonLiteral(value) {
+        if (value === null || value === undefined) return 'None';
+        if (value === true) return 'True';
+        if (value === false) return 'False';
+        if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+        if (Array.isArray(value)) return `[${value.map(JinjaTemplate._toPythonLiteral).join(', ')}]`;
+        if (typeof value === 'object') return `{${Object.entries(value).map(([key, item]) => `'${key}': ${JinjaTemplate._toPythonLiteral(item)}`).join(', ')}}`;
+        return `${value}`;
+    }
+
+    /**
+     * Serializes a value like Python's json.dumps with ensure_ascii=False, which is what Hugging Face's tojson filter does.
+     */
+    static _toJson(value, indent, currentIndent) {
+        if (value === undefined || value === null) return 'null';
+        if (typeof value !== 'object') return JSON.stringify(value);
+        const entries = Array.isArray(value) ? value.map(item => [null, item]) : Object.entries(value);
+        if (!entries.length) return Array.isArray(value) ? '[]' : '{}';
+        const innerIndent = indent === null ? '' : currentIndent + (typeof indent === 'string' ? indent : ' '.repeat(indent));
+        const items = entries.map(([key, item]) => (key === null ? '' : `${JSON.stringify(key)}: `) + JinjaTemplate._toJson(item, indent, innerIndent));
+        const [open, close] = Array.isArray(value) ? ['[', ']'] : ['{', '}'];
+        return indent === null
+            ? `${open}${items.join(', ')}${close}`
+            : `${open}\n${innerIndent}${items.join(`,\n${innerIndent}`)}\n${currentIndent}${close}`;
+    }
+
+    static _describe(node) {
+        if (node.type === 'name') return node.name;
+        if (node.type === 'attribute') return `${JinjaTemplate._describe(node.object)}.${node.name}`;
+        return 'The expression';
+    }
+
+    /**
+     * Formats a date with the strftime codes chat templates use for "today's date" lines.
+     */
+    static _strftime(date, format) {
+        const months = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+        const pad = value => `${value}`.padStart(2, '0');
+        const codes = {
+            Y: date.getFullYear(), m: pad(date.getMonth() + 1), d: pad(date.getDate()), H: pad(date.getHours()), M: pad(date.getMinutes()),
+            S: pad(date.getSeconds()), B: months[date.getMonth()], b: months[date.getMonth()].slice(0, 3), A: days[date.getDay()],
+            a: days[date.getDay()].slice(0, 3), '%': '%',
+        };
+        return format.replace(/%([A-Za-z%])/g, (match, code) => codes[code] ?? match);
+    }
+}
+
+/**
+ * Python str methods that chat templates call, taking the string as the first argument.
+ */
+JinjaTemplate._stringMethods = {
+    strip: (text, chars) => JinjaTemplate._stringMethods.rstrip(JinjaTemplate._stringMethods.lstrip(text, chars), chars),
+    lstrip: (text, chars) => {
+        let start = 0;
+        while (start < text.length && (chars ? chars.includes(text[start]) : /\s/.test(text[start]))) start++;
+        return text.slice(start);
+    },
+    rstrip: (text, chars) => {
+        let end = text.length;
+        while (end > 0 && (chars ? chars.includes(text[end - 1]) : /\s/.test(text[end - 1]))) end--;
+        return text.slice(0, end);
+    },
+    startswith: (text, prefix) => (Array.isArray(prefix) ? prefix : [prefix]).some(candidate => text.startsWith(candidate)),
+    endswith: (text, suffix) => (Array.isArray(suffix) ? suffix : [suffix]).some(candidate => text.endsWith(candidate)),
+    split: (text, separator = null, maxSplit = -1) => {
+        const parts = separator === null ? text.trim().split(/\s+/).filter(Boolean) : text.split(separator);
+        return maxSplit >= 0 && parts.length > maxSplit + 1 ? [...parts.slice(0, maxSplit), parts.slice(maxSplit).join(separator ?? ' ')] : parts;
+    },
+    splitlines: text => text.split(/\r?\n/),
+    upper: text => text.toUpperCase(),
+    lower: text => text.toLowerCase(),
+    capitalize: text => text.charAt(0).toUpperCase() + text.slice(1).toLowerCase(),
+    title: text => text.replace(/\w\S*/g, word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()),
+    replace: (text, old, replacement, count = -1) => {
+        if (count < 0) return text.split(old).join(replacement);
+        let result = text;
+        let position = 0;
+        for (let i = 0; i < count; i++) {
+            const index = result.indexOf(old, position);
+            if (index < 0) break;
+            result = result.slice(0, index) + replacement + result.slice(index + old.length);
+            position = index + replacement.length;
+        }
+        return result;
+    },
+    find: (text, substring) => text.indexOf(substring),
+    count: (text, substring) => substring ? text.split(substring).length - 1 : text.length + 1,
+    join: (text, items) => [...items].map(JinjaTemplate._toString).join(text),
+    isdigit: text => /^\d+$/.test(text),
+    format: (text, ...args) => {
+        let next = 0;
+        return text.replace(/\{(\d*)\}/g, (_, index) => JinjaTemplate._toString(args[index === '' ? next++ : Number(index)]));
+    },
+};
+
+/**
+ * Renders a chat template, e.g., tokenizer.chat_template, with the variables Hugging Face's apply_chat_template passes.
+ * @param {string} template - The Jinja template
+ * @param {object} [options]
+ * @param {{role: string, content: string}[]} [options.messages=SampleChatMessages] - The conversation
+ * @param {boolean} [options.addGenerationPrompt=true] - Whether to end with the prompt for the assistant's reply
+ * @param {string} [options.bosToken=''] - The BOS token's text
+ * @param {string} [options.eosToken=''] - The EOS token's text
+ * @param {object} [options.variables] - Any other variables, e.g., {tools: [...]}
+ * @returns {string} The rendered prompt
+ */
+function renderChatTemplate(template, { messages = SampleChatMessages, addGenerationPrompt = true, bosToken = '', eosToken = '', variables = {} } = {}) {
+    return new JinjaTemplate(template).render({
+        messages: JSON.parse(JSON.stringify(messages)), // The template may modify what it's given
+        add_generation_prompt: addGenerationPrompt,
+        bos_token: bosToken,
+        eos_token: eosToken,
+        tools: null,
+        documents: null,
+        ...variables,
+    });
+}
+
+/**
+ * A problem found by GgufMetadata.validate.
+ * @typedef {object} GgufFinding
+ * @property {'error'|'warning'} severity - Errors are things llama.cpp would reject or misread; warnings are unusual but loadable
+ * @property {string} code - A stable identifier for the check, e.g., "duplicate-key" or "truncated"
+ * @property {string} message - A description of the problem
+ * @property {number|null} offset - The byte offset in the file the problem is at, if it has one
+ * @property {number} [shard] - For merged split models, the index of the shard the problem is in
+ */
+
+const GgufMetadataValueType = {
     UINT8: 0,
     INT8: 1,
     UINT16: 2,
@@ -594,38 +3309,825 @@ const GgufMetadataValueType = {
     FLOAT64: 12
 };
 
-const GgmlType = {
-    F32: 0,
-    F16: 1,
-    Q4_0: 2,
-    Q4_1: 3,
-    // Q4_2/3 removed
-    Q5_0: 6,
-    Q5_1: 7,
-    Q8_0: 8,
-    Q8_1: 9,
-    Q2_K: 10,
-    Q3_K: 11,
-    Q4_K: 12,
-    Q5_K: 13,
-    Q6_K: 14,
-    Q8_K: 15,
-    IQ2_XXS: 16,
-    IQ2_XS: 17,
-    IQ3_XXS: 18,
-    IQ1_S: 19,
-    IQ4_NL: 20,
-    IQ3_S: 21,
-    IQ2_S: 22,
-    IQ4_XS: 23,
-    I8: 24,
-    I16: 25,
-    I32: 26,
-    I64: 27,
-    F64: 28,
-    IQ1_M: 29,
+/**
+ * Families of GgmlTypes, by how the weights are stored.
+ */
+const GgmlTypeFamily = {
+    FLOAT: 'float', // Unquantized floating point: F32, F16, BF16, F64
+    INTEGER: 'integer', // Unquantized integers: I8 to I64
+    LEGACY: 'legacy', // The original 32-weight block quants: Q4_0 to Q8_1
+    K_QUANT: 'k-quant', // 256-weight super-blocks with quantized sub-block scales: Q2_K to Q8_K
+    I_QUANT: 'i-quant', // Lattice/codebook quants (importance-matrix era): IQ1_S to IQ4_XS
+    TERNARY: 'ternary', // Weights of -1, 0, or 1, for BitNet-style models: TQ1_0, TQ2_0
+    MICROSCALING: 'microscaling', // OCP microscaling formats with shared power-of-two scales: MXFP4
+};
+
+/**
+ * Every tensor type ggml has defined, keyed by id, as in ggml.h and ggml's type_traits: the name, weights per block (blockSize),
+ * bytes per block (typeSize), bits per weight including block scales, and GgmlTypeFamily.
+ * Ids 4 and 5 (Q4_2/3) were removed before GGUF existed. The repacked Q4_0_x_x and IQ4_NL_x_x types were removed later too (llama.cpp
+ * now repacks at load time), so files that use them no longer load in llama.cpp, but they're listed so their sizes still add up.
+ */
+const GgmlTypes = Object.fromEntries([
+    [0, 'F32', 1, 4, GgmlTypeFamily.FLOAT],
+    [1, 'F16', 1, 2, GgmlTypeFamily.FLOAT],
+    [2, 'Q4_0', 32, 18, GgmlTypeFamily.LEGACY],
+    [3, 'Q4_1', 32, 20, GgmlTypeFamily.LEGACY],
+    [6, 'Q5_0', 32, 22, GgmlTypeFamily.LEGACY],
+    [7, 'Q5_1', 32, 24, GgmlTypeFamily.LEGACY],
+    [8, 'Q8_0', 32, 34, GgmlTypeFamily.LEGACY],
+    [9, 'Q8_1', 32, 36, GgmlTypeFamily.LEGACY],
+    [10, 'Q2_K', 256, 84, GgmlTypeFamily.K_QUANT],
+    [11, 'Q3_K', 256, 110, GgmlTypeFamily.K_QUANT],
+    [12, 'Q4_K', 256, 144, GgmlTypeFamily.K_QUANT],
+    [13, 'Q5_K', 256, 176, GgmlTypeFamily.K_QUANT],
+    [14, 'Q6_K', 256, 210, GgmlTypeFamily.K_QUANT],
+    [15, 'Q8_K', 256, 292, GgmlTypeFamily.K_QUANT],
+    [16, 'IQ2_XXS', 256, 66, GgmlTypeFamily.I_QUANT],
+    [17, 'IQ2_XS', 256, 74, GgmlTypeFamily.I_QUANT],
+    [18, 'IQ3_XXS', 256, 98, GgmlTypeFamily.I_QUANT],
+    [19, 'IQ1_S', 256, 50, GgmlTypeFamily.I_QUANT],
+    [20, 'IQ4_NL', 32, 18, GgmlTypeFamily.I_QUANT],
+    [21, 'IQ3_S', 256, 110, GgmlTypeFamily.I_QUANT],
+    [22, 'IQ2_S', 256, 82, GgmlTypeFamily.I_QUANT],
+    [23, 'IQ4_XS', 256, 136, GgmlTypeFamily.I_QUANT],
+    [24, 'I8', 1, 1, GgmlTypeFamily.INTEGER],
+    [25, 'I16', 1, 2, GgmlTypeFamily.INTEGER],
+    [26, 'I32', 1, 4, GgmlTypeFamily.INTEGER],
+    [27, 'I64', 1, 8, GgmlTypeFamily.INTEGER],
+    [28, 'F64', 1, 8, GgmlTypeFamily.FLOAT],
+    [29, 'IQ1_M', 256, 56, GgmlTypeFamily.I_QUANT],
+    [30, 'BF16', 1, 2, GgmlTypeFamily.FLOAT],
+    [31, 'Q4_0_4_4', 32, 18, GgmlTypeFamily.LEGACY],
+    [32, 'Q4_0_4_8', 32, 18, GgmlTypeFamily.LEGACY],
+    [33, 'Q4_0_8_8', 32, 18, GgmlTypeFamily.LEGACY],
+    [34, 'TQ1_0', 256, 54, GgmlTypeFamily.TERNARY],
+    [35, 'TQ2_0', 256, 66, GgmlTypeFamily.TERNARY],
+    [36, 'IQ4_NL_4_4', 32, 18, GgmlTypeFamily.I_QUANT],
+    [37, 'IQ4_NL_4_8', 32, 18, GgmlTypeFamily.I_QUANT],
+    [38, 'IQ4_NL_8_8', 32, 18, GgmlTypeFamily.I_QUANT],
+    [39, 'MXFP4', 32, 17, GgmlTypeFamily.MICROSCALING],
+].map(([id, name, blockSize, typeSize, family]) => [id, { id, name, blockSize, typeSize, bitsPerWeight: typeSize * 8 / blockSize, family }]));
+
+/**
+ * GgmlType ids by name, e.g., GgmlType.Q4_K === 12.
+ */
+const GgmlType = Object.fromEntries(Object.values(GgmlTypes).map(info => [info.name, info.id]));
+
+/**
+ * Gets the name of a GgmlType, e.g., "Q4_K".
+ * @param {number} type - A GgmlType value
+ * @returns {string} The name, or "UNKNOWN(n)" for types this file doesn't know about
+ */
+function getGgmlTypeName(type) {
+    return GgmlTypes[type]?.name ?? `UNKNOWN(${type})`;
+}
+
+/**
+ * The values of general.file_type, which is llama.cpp's llama_ftype (llama.h), keyed by id: the name llama-quantize uses for the
+ * recipe and the GgmlType the recipe uses for most weights (its default_type in llama_model_quantize_impl). Mixes like Q4_K_M then
+ * move some tensors, such as output.weight and some attn_v/ffn_down, to higher-precision types.
+ * Ids 4 (Q4_1_SOME_F16) and 33 to 35 (Q4_0_4_4 and friends) are no longer produced, but older files still carry them.
+ */
+const LlamaFileTypes = Object.fromEntries([
+    [0, 'F32', 'F32'],
+    [1, 'F16', 'F16'],
+    [2, 'Q4_0', 'Q4_0'],
+    [3, 'Q4_1', 'Q4_1'],
+    [4, 'Q4_1_SOME_F16', 'Q4_1'],
+    [7, 'Q8_0', 'Q8_0'],
+    [8, 'Q5_0', 'Q5_0'],
+    [9, 'Q5_1', 'Q5_1'],
+    [10, 'Q2_K', 'Q2_K'],
+    [11, 'Q3_K_S', 'Q3_K'],
+    [12, 'Q3_K_M', 'Q3_K'],
+    [13, 'Q3_K_L', 'Q3_K'],
+    [14, 'Q4_K_S', 'Q4_K'],
+    [15, 'Q4_K_M', 'Q4_K'],
+    [16, 'Q5_K_S', 'Q5_K'],
+    [17, 'Q5_K_M', 'Q5_K'],
+    [18, 'Q6_K', 'Q6_K'],
+    [19, 'IQ2_XXS', 'IQ2_XXS'],
+    [20, 'IQ2_XS', 'IQ2_XS'],
+    [21, 'Q2_K_S', 'Q2_K'],
+    [22, 'IQ3_XS', 'IQ3_S'],
+    [23, 'IQ3_XXS', 'IQ3_XXS'],
+    [24, 'IQ1_S', 'IQ1_S'],
+    [25, 'IQ4_NL', 'IQ4_NL'],
+    [26, 'IQ3_S', 'IQ3_S'],
+    [27, 'IQ3_M', 'IQ3_S'],
+    [28, 'IQ2_S', 'IQ2_XS'],
+    [29, 'IQ2_M', 'IQ2_S'],
+    [30, 'IQ4_XS', 'IQ4_XS'],
+    [31, 'IQ1_M', 'IQ1_M'],
+    [32, 'BF16', 'BF16'],
+    [33, 'Q4_0_4_4', 'Q4_0_4_4'],
+    [34, 'Q4_0_4_8', 'Q4_0_4_8'],
+    [35, 'Q4_0_8_8', 'Q4_0_8_8'],
+    [36, 'TQ1_0', 'TQ1_0'],
+    [37, 'TQ2_0', 'TQ2_0'],
+    [38, 'MXFP4_MOE', 'MXFP4'],
+].map(([id, name, baseTypeName]) => [id, { id, name, baseType: GgmlType[baseTypeName] }]));
+
+/**
+ * Gets the name of a general.file_type value, e.g., "Q4_K_M".
+ * @param {number} fileType - A llama_ftype value
+ * @returns {string} The name, or "UNKNOWN(n)" for file types this file doesn't know about
+ */
+function getFileTypeName(fileType) {
+    return LlamaFileTypes[fileType]?.name ?? `UNKNOWN(${fileType})`;
+}
+
+let halfToFloatTable = null;
+
+/**
+ * Converts IEEE half-precision bits to a number, via a table built on first use since model files hold millions of them.
+ */
+function halfToFloat(bits) {
+    if (!halfToFloatTable) {
+        halfToFloatTable = new Float32Array(65536);
+        for (let i = 0; i < 65536; i++) {
+            const sign = i & 0x8000 ? -1 : 1;
+            const exponent = (i >> 10) & 0x1F;
+            const fraction = i & 0x3FF;
+            halfToFloatTable[i] = exponent === 0 ? sign * fraction * 2 ** -24
+                : exponent === 31 ? (fraction ? NaN : sign * Infinity)
+                : sign * (1 + fraction / 1024) * 2 ** (exponent - 15);
+        }
+    }
+    return halfToFloatTable[bits];
+}
+
+const bfloat16Bits = new Uint32Array(1);
+const bfloat16Value = new Float32Array(bfloat16Bits.buffer);
+
+/**
+ * Gets the 6-bit scale and min of sub-block j from a Q4_K block's 12 packed scale bytes, as in ggml's get_scale_min_k4.
+ */
+function getScaleMinK4(j, view, scalesOffset) {
+    const q = i => view.getUint8(scalesOffset + i);
+    return j < 4
+        ? [q(j) & 63, q(j + 4) & 63]
+        : [(q(j + 4) & 0xF) | ((q(j - 4) >> 6) << 4), (q(j + 4) >> 4) | ((q(j) >> 6) << 4)];
+}
+
+/**
+ * Block dequantizers for the tensor types that can be read back as floats, keyed by GgmlType id and ported from ggml's
+ * dequantize_row_* reference code. Each writes one block (GgmlTypes[type].blockSize weights) from the bytes at offset in view to output
+ * at outputOffset. Floats and scales are read in the file's byte order; the quantized weights themselves are single bytes or nibbles.
+ */
+const TensorDequantizers = {
+    [GgmlType.F32]: (view, offset, output, outputOffset, littleEndian) => {
+        output[outputOffset] = view.getFloat32(offset, littleEndian);
+    },
+    [GgmlType.F16]: (view, offset, output, outputOffset, littleEndian) => {
+        output[outputOffset] = halfToFloat(view.getUint16(offset, littleEndian));
+    },
+    [GgmlType.BF16]: (view, offset, output, outputOffset, littleEndian) => {
+        bfloat16Bits[0] = view.getUint16(offset, littleEndian) << 16;
+        output[outputOffset] = bfloat16Value[0];
+    },
+    [GgmlType.Q8_0]: (view, offset, output, outputOffset, littleEndian) => {
+        const d = halfToFloat(view.getUint16(offset, littleEndian));
+        for (let j = 0; j < 32; j++) {
+            output[outputOffset + j] = d * view.getInt8(offset + 2 + j);
+        }
+    },
+    [GgmlType.Q4_0]: (view, offset, output, outputOffset, littleEndian) => {
+        const d = halfToFloat(view.getUint16(offset, littleEndian));
+        for (let j = 0; j < 16; j++) {
+            const q = view.getUint8(offset + 2 + j);
+            output[outputOffset + j] = d * ((q & 0xF) - 8);
+            output[outputOffset + j + 16] = d * ((q >> 4) - 8);
+        }
+    },
+    [GgmlType.Q4_K]: (view, offset, output, outputOffset, littleEndian) => {
+        // d, dmin, 12 bytes of packed 6-bit scales and mins for the eight 32-weight sub-blocks, then 128 bytes of 4-bit weights
+        const d = halfToFloat(view.getUint16(offset, littleEndian));
+        const dmin = halfToFloat(view.getUint16(offset + 2, littleEndian));
+        let qs = offset + 16;
+        let y = outputOffset;
+        for (let subBlock = 0; subBlock < 8; subBlock += 2, qs += 32) {
+            const [scale1, min1] = getScaleMinK4(subBlock, view, offset + 4);
+            const [scale2, min2] = getScaleMinK4(subBlock + 1, view, offset + 4);
+            for (let l = 0; l < 32; l++) output[y++] = d * scale1 * (view.getUint8(qs + l) & 0xF) - dmin * min1;
+            for (let l = 0; l < 32; l++) output[y++] = d * scale2 * (view.getUint8(qs + l) >> 4) - dmin * min2;
+        }
+    },
+    [GgmlType.Q6_K]: (view, offset, output, outputOffset, littleEndian) => {
+        // 128 bytes of low 4 bits, 64 of high 2 bits, 16 signed 8-bit scales for the 16-weight sub-blocks, then d
+        const d = halfToFloat(view.getUint16(offset + 208, littleEndian));
+        for (let half = 0; half < 2; half++) {
+            const ql = offset + half * 64;
+            const qh = offset + 128 + half * 32;
+            const scales = offset + 192 + half * 8;
+            const y = outputOffset + half * 128;
+            for (let l = 0; l < 32; l++) {
+                const is = l >> 4;
+                const low = view.getUint8(ql + l);
+                const lowNext = view.getUint8(ql + l + 32);
+                const high = view.getUint8(qh + l);
+                output[y + l] = d * view.getInt8(scales + is) * (((low & 0xF) | ((high & 3) << 4)) - 32);
+                output[y + l + 32] = d * view.getInt8(scales + is + 2) * (((lowNext & 0xF) | (((high >> 2) & 3) << 4)) - 32);
+                output[y + l + 64] = d * view.getInt8(scales + is + 4) * (((low >> 4) | (((high >> 4) & 3) << 4)) - 32);
+                output[y + l + 96] = d * view.getInt8(scales + is + 6) * (((lowNext >> 4) | (((high >> 6) & 3) << 4)) - 32);
+            }
+        }
+    },
+};
+
+/**
+ * Converts raw tensor data to floats.
+ * @param {number} type - The tensor's GgmlType; see TensorDequantizers for the supported ones
+ * @param {ArrayBuffer|Uint8Array} bytes - Whole blocks of tensor data
+ * @param {boolean} [littleEndian=true] - The byte order of the file the data came from
+ * @param {Float32Array} [output] - Where to write the weights; a new array by default
+ * @param {number} [outputOffset=0] - Where in output to start
+ * @returns {Float32Array} output
+ */
+function dequantizeTensorData(type, bytes, littleEndian = true, output = null, outputOffset = 0) {
+    const dequantizeBlock = TensorDequantizers[type];
+    if (!dequantizeBlock) {
+        throw new Error(`Can't read ${getGgmlTypeName(type)} tensor data; only ` +
+            `${Object.keys(TensorDequantizers).map(id => getGgmlTypeName(Number(id))).join(', ')} can be dequantized.`);
+    }
+    const { blockSize, typeSize } = GgmlTypes[type];
+    const view = bytes instanceof ArrayBuffer ? new DataView(bytes) : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const blockCount = Math.floor(view.byteLength / typeSize);
+    output ??= new Float32Array(blockCount * blockSize);
+    for (let block = 0; block < blockCount; block++) {
+        dequantizeBlock(view, block * typeSize, output, outputOffset + block * blockSize, littleEndian);
+    }
+    return output;
+}
+
+/**
+ * Computes statistics of dequantized weights that give away a broken conversion, such as a norm that's all zeros or NaNs in the
+ * embeddings. min, max, mean, and std are over the finite weights only; NaN if there are none.
+ * @param {Float32Array|number[]} values
+ * @returns {TensorStats}
+ */
+function computeTensorStats(values) {
+    let min = Infinity;
+    let max = -Infinity;
+    let mean = 0;
+    let squaredDeviations = 0; // Welford's running sum, which stays accurate where a sum of squares would cancel out
+    let finiteCount = 0;
+    let nanCount = 0;
+    let infCount = 0;
+    let zeroCount = 0;
+    for (let i = 0; i < values.length; i++) {
+        const value = values[i];
+        if (value !== value) {
+            nanCount++;
+        } else if (value === Infinity || value === -Infinity) {
+            infCount++;
+        } else {
+            if (value < min) min = value;
+            if (value > max) max = value;
+            if (value === 0) zeroCount++;
+            finiteCount++;
+            const delta = value - mean;
+            mean += delta / finiteCount;
+            squaredDeviations += delta * (value - mean);
+        }
+    }
+    return {
+        count: values.length,
+        min: finiteCount ? min : NaN,
+        max: finiteCount ? max : NaN,
+        mean: finiteCount ? mean : NaN,
+        std: finiteCount ? Math.sqrt(squaredDeviations / finiteCount) : NaN,
+        nanCount,
+        infCount,
+        zeroFraction: values.length ? zeroCount / values.length : NaN,
+    };
+}
+
+/**
+ * What a tensor does in the model, as classified by classifyTensorName.
+ */
+const TensorRole = {
+    EMBEDDING: 'embedding', // Input embeddings (token_embd, position_embd, ...), which llama.cpp keeps in system RAM
+    OUTPUT: 'output', // The LM head or classifier
+    NORM: 'norm',
+    ATTENTION_Q: 'attention-q',
+    ATTENTION_K: 'attention-k',
+    ATTENTION_V: 'attention-v',
+    ATTENTION_QKV: 'attention-qkv', // Fused Q, K, and V
+    ATTENTION_OUTPUT: 'attention-output',
+    ATTENTION_OTHER: 'attention-other', // MLA's low-rank KV projections, attention sinks, and the like
+    FFN: 'ffn', // Dense feed-forward layers
+    ROUTER: 'router', // The MoE gate that picks experts, and its bias
+    SHARED_EXPERT: 'shared-expert', // Experts that run on every token (ffn_*_shexp)
+    ROUTED_EXPERT: 'routed-expert', // Experts that only run when the router picks them (ffn_*_exps)
+    SSM: 'ssm', // Recurrent layers: Mamba's ssm_*, RWKV's time_mix_*, LFM2's shortconv
+    VISION: 'vision', // The vision encoder and projector (v.*, mm.*)
+    AUDIO: 'audio', // The audio encoder (a.*)
+    MTP: 'mtp', // Multi-token prediction (nextn) layers, which llama.cpp loads but doesn't run
+    OTHER: 'other',
 };
 
+/**
+ * Classifies a tensor by its llama.cpp name (see llama-arch.cpp), e.g., blk.3.ffn_up_shexp.weight is a shared expert in block 3.
+ * Multimodal tensors (v.blk.N..., a.blk.N..., mm.N...) get their own component and roles, so they aren't mistaken for the
+ * language model's blocks.
+ * @param {string} name - The tensor name
+ * @param {object} [options]
+ * @param {number} [options.mtpFirstBlock=Infinity] - The first block that's a multi-token prediction layer, i.e., block_count - nextn_predict_layers
+ * @returns {{role: string, block: number, component: 'text'|'vision'|'audio'}} The TensorRole, the block number (-1 outside blocks),
+ * and which model the tensor belongs to
+ */
+function classifyTensorName(name, { mtpFirstBlock = Infinity } = {}) {
+    const component = /^(v|mm|mmproj)\./.test(name) ? 'vision' : /^a\./.test(name) ? 'audio' : 'text';
+    const blockMatch = /^(?:[a-z]+\.)?blk\.(\d+)\.(.*)$/.exec(name);
+    const block = blockMatch ? Number(blockMatch[1]) : -1;
+    if (component !== 'text') {
+        return { role: component === 'vision' ? TensorRole.VISION : TensorRole.AUDIO, block, component };
+    }
+
+    const parts = (blockMatch ? blockMatch[2] : name).split('.');
+    const base = parts[0];
+    let role;
+    if (base === 'nextn' || block >= mtpFirstBlock) {
+        role = TensorRole.MTP;
+    } else if (/norm/.test(base)) {
+        role = TensorRole.NORM;
+    } else if (/^(token_embd|token_types|position_embd|per_layer_token_embd)$/.test(base)) {
+        role = TensorRole.EMBEDDING;
+    } else if (/^(output|cls|cls_out)$/.test(base)) {
+        role = TensorRole.OUTPUT;
+    } else if (base.endsWith('_shexp')) {
+        role = TensorRole.SHARED_EXPERT;
+    } else if (base === 'ffn_gate_inp' || base === 'exp_probs_b') {
+        role = TensorRole.ROUTER;
+    } else if (/_(exps|chexps)$/.test(base) || (base.startsWith('ffn_') && /^\d+$/.test(parts[1]))) {
+        // Early Mixtral GGUFs stored each expert separately, as blk.N.ffn_up.E.weight
+        role = TensorRole.ROUTED_EXPERT;
+    } else if (/^attn_q(_a|_b)?$/.test(base)) {
+        role = TensorRole.ATTENTION_Q;
+    } else if (/^attn_k(_b)?$/.test(base)) {
+        role = TensorRole.ATTENTION_K;
+    } else if (/^attn_v(_b)?$/.test(base)) {
+        role = TensorRole.ATTENTION_V;
+    } else if (base === 'attn_qkv') {
+        role = TensorRole.ATTENTION_QKV;
+    } else if (base === 'attn_output' || base === 'attn_out') {
+        role = TensorRole.ATTENTION_OUTPUT;
+    } else if (base.startsWith('attn_')) {
+        role = TensorRole.ATTENTION_OTHER;
+    } else if (/^(ssm_|time_mix_|shortconv)/.test(base)) {
+        role = TensorRole.SSM;
+    } else if (/^(ffn_|channel_mix_)/.test(base)) {
+        role = TensorRole.FFN;
+    } else {
+        role = TensorRole.OTHER;
+    }
+    return { role, block, component };
+}
+
+/**
+ * The order getTensorsForOffload puts tensors in: each rule matches tensors by role (a TensorRole or an array of them), by name
+ * (a RegExp), and/or by whether they're in a block (inBlock), and the first matching rule gives the priority (lower goes to the GPU first).
+ * Rules passed to getTensorsForOffload are checked before these, so they can move any tensor, e.g.,
+ * {name: /ffn_down_exps/, priority: 25} to put the expert down projections ahead of the other experts.
+ */
+const DefaultOffloadRules = [
+    // Outside the blocks: the output layer and final norm run for every token
+    { role: [TensorRole.OUTPUT, TensorRole.NORM, TensorRole.OTHER], inBlock: false, priority: 10 },
+    // Inside the blocks, attention first, then everything else that runs on every token, including the router and shared experts
+    { role: [TensorRole.ATTENTION_Q, TensorRole.ATTENTION_K, TensorRole.ATTENTION_V, TensorRole.ATTENTION_QKV, TensorRole.ATTENTION_OUTPUT, TensorRole.ATTENTION_OTHER], priority: 20 },
+    { role: [TensorRole.NORM, TensorRole.FFN, TensorRole.ROUTER, TensorRole.SHARED_EXPERT, TensorRole.SSM, TensorRole.OTHER], priority: 21 },
+    // Routed experts only run when picked, so they gain the least per byte from being on the GPU
+    { role: TensorRole.ROUTED_EXPERT, priority: 30 },
+    { role: TensorRole.MTP, priority: 40 },
+    { role: [TensorRole.VISION, TensorRole.AUDIO], priority: 50 },
+    // llama.cpp keeps the input embeddings in system RAM no matter what, since they're only used for lookups
+    { role: TensorRole.EMBEDDING, priority: 60 },
+];
+
+/**
+ * The interface GgufMetadata reads through, so the same parser works on browser Files and Node.js files and buffers.
+ * @typedef {object} GgufReader
+ * @property {number} size - The total size of the file in bytes
+ * @property {function(number, number): Promise<ArrayBuffer>} read - Reads length bytes starting at start; may return fewer at the end of the file
+ * @property {function(): Promise<void>} [open] - Called before the first read, for readers that need to look something up (like the size) first
+ * @property {function(): Promise<void>} [release] - Frees any resources held between loads; read must still work afterward
+ */
+
+/**
+ * Reads from a browser File or Blob (or Node.js Blob) using slice().arrayBuffer().
+ */
+class BlobReader {
+    constructor(blob) {
+        this.blob = blob;
+        this.size = blob.size;
+    }
+
+    async read(start, length) {
+        return await this.blob.slice(start, start + length).arrayBuffer();
+    }
+}
+
+/**
+ * Reads from an in-memory buffer: a Node.js Buffer, any other Uint8Array, or an ArrayBuffer. Each read copies only the requested range.
+ */
+class BufferReader {
+    constructor(buffer) {
+        this.bytes = buffer instanceof ArrayBuffer ? new Uint8Array(buffer) : new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength);
+        this.size = this.bytes.byteLength;
+    }
+
+    async read(start, length) {
+        const end = Math.min(start + length, this.size);
+        return this.bytes.buffer.slice(this.bytes.byteOffset + start, this.bytes.byteOffset + end);
+    }
+}
+
+/**
+ * Reads from a file in Node.js using positional fs reads, so only the requested ranges are ever in memory.
+ * Given a path, it opens the file on the first read and closes it on release(), reopening it if it's read again later.
+ * Given a file descriptor, it never closes it; that's up to the caller.
+ */
+class NodeFileReader {
+    constructor(pathOrFd, size) {
+        this.path = typeof pathOrFd === 'string' ? pathOrFd : null;
+        this.fd = typeof pathOrFd === 'number' ? pathOrFd : null;
+        this.size = size;
+    }
+
+    /**
+     * Creates a reader for a path or file descriptor, reading the file size up front.
+     * @param {string|number} pathOrFd
+     * @returns {NodeFileReader}
+     */
+    static create(pathOrFd) {
+        const fs = require('fs');
+        const stats = typeof pathOrFd === 'number' ? fs.fstatSync(pathOrFd) : fs.statSync(pathOrFd);
+        return new NodeFileReader(pathOrFd, stats.size);
+    }
+
+    async read(start, length) {
+        const fs = require('fs');
+        if (this.fd === null) {
+            this.fd = await new Promise((resolve, reject) => fs.open(this.path, 'r', (error, fd) => error ? reject(error) : resolve(fd)));
+        }
+        length = Math.max(0, Math.min(length, this.size - start));
+        const buffer = new Uint8Array(length);
+        let bytesRead = 0;
+        while (bytesRead < length) {
+            const count = await new Promise((resolve, reject) =>
+                fs.read(this.fd, buffer, bytesRead, length - bytesRead, start + bytesRead, (error, n) => error ? reject(error) : resolve(n)));
+            if (count === 0) break;
+            bytesRead += count;
+        }
+        return bytesRead === length ? buffer.buffer : buffer.buffer.slice(0, bytesRead);
+    }
+
+    async release() {
+        if (this.path !== null && this.fd !== null) {
+            const fd = this.fd;
+            this.fd = null;
+            await new Promise((resolve, reject) => require('fs').close(fd, error => error ? reject(error) : resolve()));
+        }
+    }
+}
+
+/**
+ * Reads a remote file with HTTP Range requests, e.g., a Hugging Face resolve/ URL, so a model's header can be inspected without downloading it.
+ * The first chunk is fetched by open(); after that, each read requests exactly the range asked for, and since GgufMetadata only ever
+ * asks for bytes past what it already has, nothing is downloaded twice. bytesTransferred and requestCount report how much was actually downloaded.
+ */
+class HttpRangeReader {
+    /**
+     * @param {string} url
+     * @param {object} [options]
+     * @param {number} [options.initialBytes=5242880] - How much to request up front; most GGUF headers are smaller than this
+     * @param {object} [options.headers] - Extra request headers, e.g., Authorization for gated repositories
+     */
+    constructor(url, { initialBytes = 5 * 1024 * 1024, headers = {} } = {}) {
+        this.url = `${url}`;
+        this.initialBytes = initialBytes;
+        this.headers = headers;
+        this.size = 0;
+        this.initialChunk = new Uint8Array(0);
+        this.bytesTransferred = 0;
+        this.requestCount = 0;
+    }
+
+    /**
+     * Fetches the first chunk of the file, learning the file size from the Content-Range header.
+     */
+    async open() {
+        if (this.requestCount) return;
+        const { bytes, totalSize } = await this._fetchRange(0, this.initialBytes);
+        this.initialChunk = bytes;
+        this.size = totalSize ?? await this._fetchSize();
+    }
+
+    async read(start, length) {
+        const end = Math.min(start + length, this.size);
+        if (end <= this.initialChunk.byteLength) {
+            return this.initialChunk.buffer.slice(start, end);
+        }
+        if (end <= start) {
+            return new ArrayBuffer(0);
+        }
+        return (await this._fetchRange(start, end - start)).bytes.buffer;
+    }
+
+    async _fetchRange(start, length) {
+        const controller = new AbortController();
+        const response = await fetch(this.url, {
+            headers: { ...this.headers, Range: `bytes=${start}-${start + length - 1}` },
+            signal: controller.signal,
+        });
+        this.requestCount++;
+        if (response.status === 200) {
+            // The server ignored the Range header and is about to send the whole file
+            controller.abort();
+            throw new Error(`${this.url} doesn't support HTTP range requests.`);
+        }
+        if (response.status === 416) {
+            return { bytes: new Uint8Array(0), totalSize: null };
+        }
+        if (response.status !== 206) {
+            throw new Error(`HTTP ${response.status} ${response.statusText} reading ${this.url}`);
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        this.bytesTransferred += bytes.byteLength;
+        // Content-Range: bytes 0-1023/40000000000
+        const totalMatch = /\/(\d+)\s*$/.exec(response.headers.get('Content-Range') ?? '');
+        return { bytes, totalSize: totalMatch ? Number(totalMatch[1]) : null };
+    }
+
+    async _fetchSize() {
+        const response = await fetch(this.url, { method: 'HEAD', headers: this.headers });
+        this.requestCount++;
+        const contentLength = Number(response.headers.get('Content-Length'));
+        if (!response.ok || !contentLength) {
+            throw new Error(`Couldn't determine the size of ${this.url}.`);
+        }
+        return contentLength;
+    }
+}
+
+/**
+ * Wraps a supported source in a GgufReader: a File or Blob, an http(s) URL, a Node.js file path or file descriptor,
+ * a Buffer/Uint8Array/ArrayBuffer, or an object that already implements GgufReader.
+ * @param {File|Blob|string|URL|number|Uint8Array|ArrayBuffer|GgufReader} source
+ * @returns {GgufReader}
+ */
+function createGgufReader(source) {
+    if ((typeof URL !== 'undefined' && source instanceof URL) || (typeof source === 'string' && /^https?:\/\//i.test(source))) {
+        return new HttpRangeReader(source);
+    }
+    if (typeof source === 'string' || typeof source === 'number') {
+        return NodeFileReader.create(source);
+    }
+    if (source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+        return new BufferReader(source);
+    }
+    if (source && typeof source.read === 'function' && typeof source.size === 'number') {
+        return source;
+    }
+    if (source && typeof source.slice === 'function' && typeof source.size === 'number') {
+        return new BlobReader(source);
+    }
+    throw new Error("Unsupported GGUF source. Pass a File, Blob, URL, path, file descriptor, Buffer, or ArrayBuffer.");
+}
+
+/**
+ * Parses a split model file name in gguf-split's format, e.g., "model-00002-of-00005.gguf".
+ * @param {string} fileName - A file name, path, or URL
+ * @returns {{baseName: string, index: number, count: number}|null} The name without the suffix, the 1-based shard number,
+ * and the shard count, or null if the name isn't a shard's
+ */
+function getSplitFileInfo(fileName) {
+    const match = /^(.*)-(\d{5})-of-(\d{5})\.gguf$/i.exec(String(fileName).replace(/[?#].*$/, ''));
+    return match ? { baseName: match[1], index: parseInt(match[2], 10), count: parseInt(match[3], 10) } : null;
+}
+
+/**
+ * Groups files so the shards of each split model end up together, in shard order; any other file is a group of its own.
+ * @param {Array<File|string>} files - Files (anything with a name) or paths/URLs
+ * @returns {Array<Array<File|string>>} The groups, in the order their first file appeared
+ */
+function groupSplitFiles(files) {
+    const groups = [];
+    const groupsByBaseName = new Map();
+    for (const file of files) {
+        const info = getSplitFileInfo(typeof file === 'string' ? file : file.name);
+        if (!info) {
+            groups.push([file]);
+            continue;
+        }
+        let group = groupsByBaseName.get(info.baseName);
+        if (!group) {
+            groupsByBaseName.set(info.baseName, group = []);
+            groups.push(group);
+        }
+        group.push(file);
+    }
+    const shardNumber = file => getSplitFileInfo(typeof file === 'string' ? file : file.name)?.index ?? 0;
+    groups.forEach(group => group.sort((a, b) => shardNumber(a) - shardNumber(b)));
+    return groups;
+}
+
+/**
+ * A metadata array value. values is a typed array for numeric element types, an array of booleans, strings, or nested
+ * GgufArrays for the others, or null if the array hasn't been loaded yet.
+ */
+class GgufArray {
+    constructor(elementType, length, offset, values = null) {
+        this.elementType = elementType;
+        this.length = length;
+        this.offset = offset; // Position of the array header in the file, for loading it later
+        this.values = values;
+    }
+
+    get loaded() {
+        return this.values !== null;
+    }
+
+    /**
+     * Describes the array for valueTypes, e.g., "array<string>[151936]". Nested arrays are described as "array<array>[n]"
+     * because each inner array can have its own element type.
+     */
+    getTypeName() {
+        return `array<${getGgufValueTypeName(this.elementType)}>[${this.length}]`;
+    }
+
+    /**
+     * Returns the size in bytes of a fixed-size element type, or 0 for strings and arrays.
+     */
+    static getElementSize(elementType) {
+        switch (elementType) {
+            case GgufMetadataValueType.UINT8:
+            case GgufMetadataValueType.INT8:
+            case GgufMetadataValueType.BOOL:
+                return 1;
+            case GgufMetadataValueType.UINT16:
+            case GgufMetadataValueType.INT16:
+                return 2;
+            case GgufMetadataValueType.UINT32:
+            case GgufMetadataValueType.INT32:
+            case GgufMetadataValueType.FLOAT32:
+                return 4;
+            case GgufMetadataValueType.UINT64:
+            case GgufMetadataValueType.INT64:
+            case GgufMetadataValueType.FLOAT64:
+                return 8;
+            default:
+                return 0;
+        }
+    }
+
+    static getTypedArrayConstructor(elementType) {
+        switch (elementType) {
+            case GgufMetadataValueType.UINT8: return Uint8Array;
+            case GgufMetadataValueType.INT8: return Int8Array;
+            case GgufMetadataValueType.UINT16: return Uint16Array;
+            case GgufMetadataValueType.INT16: return Int16Array;
+            case GgufMetadataValueType.UINT32: return Uint32Array;
+            case GgufMetadataValueType.INT32: return Int32Array;
+            case GgufMetadataValueType.FLOAT32: return Float32Array;
+            case GgufMetadataValueType.UINT64: return BigUint64Array;
+            case GgufMetadataValueType.INT64: return BigInt64Array;
+            case GgufMetadataValueType.FLOAT64: return Float64Array;
+            default: return null;
+        }
+    }
+}
+
+/**
+ * Builds a GGUF header in memory for GgufMetadata.createHeader: a growing buffer with a write for each value type, in the file's byte
+ * order, with counts and lengths sizeBytes wide (4 in v1, 8 after).
+ */
+class GgufHeaderWriter {
+    constructor(littleEndian, sizeBytes) {
+        this.littleEndian = littleEndian;
+        this.sizeBytes = sizeBytes;
+        this.bytes = new Uint8Array(64 * 1024);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+        this.textEncoder = new TextEncoder();
+    }
+
+    _reserve(byteCount) {
+        if (this.length + byteCount > this.bytes.byteLength) {
+            const bytes = new Uint8Array(Math.max(this.bytes.byteLength * 2, this.length + byteCount));
+            bytes.set(this.bytes.subarray(0, this.length));
+            this.bytes = bytes;
+            this.view = new DataView(bytes.buffer);
+        }
+        const offset = this.length;
+        this.length += byteCount;
+        return offset;
+    }
+
+    writeUint8(value) {
+        this.view.setUint8(this._reserve(1), value);
+    }
+
+    writeInt8(value) {
+        this.view.setInt8(this._reserve(1), value);
+    }
+
+    writeUint16(value) {
+        this.view.setUint16(this._reserve(2), value, this.littleEndian);
+    }
+
+    writeInt16(value) {
+        this.view.setInt16(this._reserve(2), value, this.littleEndian);
+    }
+
+    writeUint32(value, littleEndian = this.littleEndian) {
+        this.view.setUint32(this._reserve(4), value, littleEndian);
+    }
+
+    writeInt32(value) {
+        this.view.setInt32(this._reserve(4), value, this.littleEndian);
+    }
+
+    writeFloat32(value) {
+        this.view.setFloat32(this._reserve(4), value, this.littleEndian);
+    }
+
+    writeFloat64(value) {
+        this.view.setFloat64(this._reserve(8), value, this.littleEndian);
+    }
+
+    writeUint64(value) {
+        this.view.setBigUint64(this._reserve(8), BigInt(value), this.littleEndian);
+    }
+
+    writeInt64(value) {
+        this.view.setBigInt64(this._reserve(8), BigInt(value), this.littleEndian);
+    }
+
+    writeSize(value) {
+        if (this.sizeBytes === 4) {
+            this.writeUint32(Number(value));
+        } else {
+            this.writeUint64(value);
+        }
+    }
+
+    writeString(string) {
+        const encoded = this.textEncoder.encode(string);
+        this.writeSize(encoded.byteLength);
+        this.bytes.set(encoded, this._reserve(encoded.byteLength));
+    }
+
+    /**
+     * Writes a value of a GgufMetadataValueType, without its type id; arrays are written with their element type and length.
+     */
+    writeValue(valueType, value) {
+        switch (valueType) {
+            case GgufMetadataValueType.UINT8: this.writeUint8(value); break;
+            case GgufMetadataValueType.INT8: this.writeInt8(value); break;
+            case GgufMetadataValueType.UINT16: this.writeUint16(value); break;
+            case GgufMetadataValueType.INT16: this.writeInt16(value); break;
+            case GgufMetadataValueType.UINT32: this.writeUint32(value); break;
+            case GgufMetadataValueType.INT32: this.writeInt32(value); break;
+            case GgufMetadataValueType.FLOAT32: this.writeFloat32(value); break;
+            case GgufMetadataValueType.BOOL: this.writeUint8(value ? 1 : 0); break;
+            case GgufMetadataValueType.STRING: this.writeString(value); break;
+            case GgufMetadataValueType.UINT64: this.writeUint64(value); break;
+            case GgufMetadataValueType.INT64: this.writeInt64(value); break;
+            case GgufMetadataValueType.FLOAT64: this.writeFloat64(value); break;
+            case GgufMetadataValueType.ARRAY:
+                this.writeUint32(value.elementType);
+                this.writeSize(value.length);
+                for (let i = 0; i < value.length; i++) {
+                    this.writeValue(value.elementType, value.values[i]);
+                }
+                break;
+            default:
+                throw new Error(`Unknown metadata value type: ${valueType}`);
+        }
+    }
+
+    padTo(alignment) {
+        this._reserve(Math.ceil(this.length / alignment) * alignment - this.length);
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+/**
+ * Gets the lowercase name of a GgufMetadataValueType, matching the names used in GgufMetadata.valueTypes.
+ * @param {number} valueType - A GgufMetadataValueType value
+ * @returns {string} e.g., "uint32", or "unknown(n)" for unrecognized types
+ */
+function getGgufValueTypeName(valueType) {
+    const entry = Object.entries(GgufMetadataValueType).find(p => p[1] === valueType);
+    return entry ? entry[0].toLowerCase() : `unknown(${valueType})`;
+}
+
 /**
  * Represents metadata information about a tensor, including its name, type, dimensions, and offset.
  */
@@ -635,13 +4137,18 @@ class TensorInfo {
         this.type = type;
         this.dimensions = dimensions;
         this.offset = offset;
+
+        /**
+         * For split models merged with GgufMetadata.mergeShards, the index of the shard whose data section holds this tensor.
+         */
+        this.shard = 0;
     }
 
     /**
      * Extracts the block number from the name property, e.g., from "blk.12.attn_norm.weight" -> 12
      * The method expects the name to start with "blk." followed by the block
      * number. If the format is not followed, or the block number cannot be parsed, the method returns
-     * -1.
+     * -1. This is the language model's block; multimodal encoder blocks (v.blk.N) return -1 here, and classifyTensorName gives their number.
      * @returns {number} The block number extracted from the name if the format is correct; otherwise, -1.
      */
     getBlockNumber() {
@@ -655,4 +4162,91 @@ class TensorInfo {
         }
         return -1;
     }
+
+    /**
+     * Gets the number of weights in the tensor, i.e., the product of its dimensions.
+     * @returns {number}
+     */
+    getElementCount() {
+        return this.dimensions.reduce((product, dim) => product * Number(dim), 1);
+    }
+
+    /**
+     * Gets the size of the tensor's data in bytes. Quantized types store whole blocks along the first dimension.
+     * @returns {number} The size, or NaN if the tensor's type isn't in GgmlTypes.
+     */
+    getByteSize() {
+        const sizes = GgmlTypes[this.type];
+        if (!sizes) return NaN;
+        const rowCount = this.getElementCount() / Number(this.dimensions[0] ?? 1);
+        return Math.ceil(Number(this.dimensions[0] ?? 1) / sizes.blockSize) * sizes.typeSize * rowCount;
+    }
+
+    /**
+     * Gets the number of bits stored per weight for the tensor's type, including block scales, e.g., 4.5 for Q4_K.
+     * @returns {number} The bits per weight, or NaN if the tensor's type isn't in GgmlTypes.
+     */
+    getBitsPerWeight() {
+        return GgmlTypes[this.type]?.bitsPerWeight ?? NaN;
+    }
+}
+
+/**
+ * The URL this script was loaded from, so GgufMetadata.loadInWorker can start a worker running it. Undefined outside a page.
+ */
+const GgufMetadataScriptUrl = typeof document !== 'undefined' ? document.currentScript?.src : undefined;
+
+// Running as a worker started by GgufMetadata.loadInWorker: parse the posted file, reporting progress, and send back the parsed header
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async ({ data }) => {
+        const metadata = new GgufMetadata();
+        try {
+            await metadata.loadFromFile(data.file, null, {
+                ...data.options,
+                onProgress: progress => self.postMessage({ type: 'progress', progress }),
+            });
+            self.postMessage({ type: 'result', state: metadata._getWorkerState() });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message, offset: error.offset });
+        }
+    };
+}
+
+// Exports for Node.js (require or import); in the browser, everything above is a global
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        GgufMetadata,
+        GgufArray,
+        TensorInfo,
+        GgufMetadataValueType,
+        GgmlType,
+        GgmlTypes,
+        GgmlTypeFamily,
+        BlobReader,
+        BufferReader,
+        NodeFileReader,
+        HttpRangeReader,
+        createGgufReader,
+        getSplitFileInfo,
+        groupSplitFiles,
+        getGgmlTypeName,
+        LlamaFileTypes,
+        getFileTypeName,
+        TensorDequantizers,
+        dequantizeTensorData,
+        computeTensorStats,
+        TensorRole,
+        classifyTensorName,
+        DefaultOffloadRules,
+        getGgufValueTypeName,
+        estimateKvCacheFromHyperparameters,
+        KvCacheTypes,
+        getKvHyperparametersFromJson,
+        estimateKvCacheFromJson,
+        getKvCacheKBPerTokenFromJson,
+        TokenizerSpecialTokenKeys,
+        SampleChatMessages,
+        JinjaTemplate,
+        renderChatTemplate,
+    };
 }
@@ -0,0 +1,169 @@
+#!/usr/bin/env node
+/**
+ * Measures how many bytes GgufMetadata reads and how long it takes to parse a synthetic GGUF header with a large tokenizer,
+ * with arrays loaded eagerly, skipped by a size cap, and left lazy. Each way is measured before and after the reader redesign:
+ * "before" reproduces the old buffer growth, which re-read the file from offset 0 every time it needed more, and "after" is the
+ * windowed reader, printed with how much faster it is and how many fewer bytes it reads. The file is held in memory and wrapped in a
+ * reader that counts the bytes requested, so the numbers reflect the parser rather than the disk. Each way is timed several times and
+ * the median is kept.
+ * Usage: node GgufMetadataBenchmark.js [vocabularySize=250000] [runs=5]
+ */
+const { GgufMetadata, GgufArray, GgufMetadataValueType, GgmlType, BufferReader } = require('./GgufMetadata.js');
+
+/**
+ * Builds a GGUF v3 header shaped like a typical LLM's: a few scalar keys, tokens/scores/token_type arrays of vocabularySize elements,
+ * merges, and the tensor infos for a small llama-style model.
+ */
+function buildSyntheticHeader(vocabularySize) {
+    const parts = [];
+    const pushUint32 = value => { const bytes = new Uint8Array(4); new DataView(bytes.buffer).setUint32(0, value, true); parts.push(bytes); };
+    const pushUint64 = value => { const bytes = new Uint8Array(8); new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true); parts.push(bytes); };
+    const pushString = string => { const bytes = new TextEncoder().encode(string); pushUint64(bytes.length); parts.push(bytes); };
+    const pushTypedArray = (elementType, typedArray) => { pushUint32(elementType); pushUint64(typedArray.length); parts.push(new Uint8Array(typedArray.buffer)); };
+    const pushStringArray = strings => { pushUint32(GgufMetadataValueType.STRING); pushUint64(strings.length); strings.forEach(pushString); };
+
+    const blockCount = 32;
+    const tensorNames = ['token_embd.weight', 'output_norm.weight', 'output.weight'];
+    for (let block = 0; block < blockCount; block++) {
+        ['attn_norm', 'attn_q', 'attn_k', 'attn_v', 'attn_output', 'ffn_norm', 'ffn_gate', 'ffn_up', 'ffn_down'].forEach(name => tensorNames.push(`blk.${block}.${name}.weight`));
+    }
+
+    const tokens = Array.from({ length: vocabularySize }, (_, i) => `token_${i.toString(36)}`);
+    const merges = Array.from({ length: Math.floor(vocabularySize * 0.6) }, (_, i) => `t${i % 977} k${i.toString(36)}`);
+    const keyValues = [
+        ['general.architecture', () => { pushUint32(GgufMetadataValueType.STRING); pushString('llama'); }],
+        ['llama.block_count', () => { pushUint32(GgufMetadataValueType.UINT32); pushUint32(blockCount); }],
+        ['tokenizer.ggml.model', () => { pushUint32(GgufMetadataValueType.STRING); pushString('gpt2'); }],
+        ['tokenizer.ggml.tokens', () => { pushUint32(GgufMetadataValueType.ARRAY); pushStringArray(tokens); }],
+        ['tokenizer.ggml.scores', () => { pushUint32(GgufMetadataValueType.ARRAY); pushTypedArray(GgufMetadataValueType.FLOAT32, new Float32Array(vocabularySize)); }],
+        ['tokenizer.ggml.token_type', () => { pushUint32(GgufMetadataValueType.ARRAY); pushTypedArray(GgufMetadataValueType.INT32, new Int32Array(vocabularySize).fill(1)); }],
+        ['tokenizer.ggml.merges', () => { pushUint32(GgufMetadataValueType.ARRAY); pushStringArray(merges); }],
+    ];
+
+    parts.push(new TextEncoder().encode('GGUF'));
+    pushUint32(3);
+    pushUint64(tensorNames.length);
+    pushUint64(keyValues.length);
+    keyValues.forEach(([key, writeValue]) => { pushString(key); writeValue(); });
+    tensorNames.forEach(name => {
+        pushString(name);
+        pushUint32(2);
+        pushUint64(4096);
+        pushUint64(4096);
+        pushUint32(GgmlType.Q4_K);
+        pushUint64(0);
+    });
+
+    const header = new Uint8Array(parts.reduce((sum, part) => sum + part.byteLength, 0));
+    let offset = 0;
+    parts.forEach(part => { header.set(part, offset); offset += part.byteLength; });
+    return header;
+}
+
+/**
+ * A BufferReader that counts the bytes and calls requested through it, and keeps the ranges read.
+ */
+class CountingReader extends BufferReader {
+    constructor(buffer) {
+        super(buffer);
+        this.bytesRead = 0;
+        this.readCount = 0;
+        this.ranges = [];
+    }
+
+    async read(start, length) {
+        const result = await super.read(start, length);
+        this.bytesRead += result.byteLength;
+        this.readCount++;
+        this.ranges.push([start, start + result.byteLength]);
+        return result;
+    }
+}
+
+/**
+ * A CountingReader that reproduces how the parser read files before the reader redesign: whenever it needed bytes past what it had,
+ * it re-read the file from offset 0 up to twice the size it had, or a megabyte past what it needed if that was more, after a first
+ * read of 5 MiB. Only the re-reading is reproduced, not the old per-string TextDecoder or per-element bounds checks, so its times
+ * understate the old cost.
+ */
+class RereadFromStartReader extends CountingReader {
+    constructor(buffer) {
+        super(buffer);
+        this.loaded = new ArrayBuffer(0);
+    }
+
+    async read(start, length) {
+        const end = Math.min(start + length, this.size);
+        if (end > this.loaded.byteLength) {
+            const newSize = Math.min(this.size, Math.max(this.loaded.byteLength * 2, end + 1024 * 1024, 5 * 1024 * 1024));
+            this.loaded = await super.read(0, newSize);
+        }
+        return this.loaded.slice(start, end);
+    }
+}
+
+/**
+ * Parses the header runs times with the given load options through a new reader of the given class each time.
+ * @returns {Promise<{milliseconds: number, bytesRead: number, readCount: number, metadata: GgufMetadata, reader: CountingReader}>}
+ * The median time, and the reads, result, and reader of one parse
+ */
+async function measure(header, options, runs, Reader) {
+    const times = [];
+    let reader;
+    let metadata;
+    for (let run = 0; run < runs; run++) {
+        reader = new Reader(header);
+        metadata = new GgufMetadata();
+        const start = process.hrtime.bigint();
+        await metadata.loadFromFile(reader, null, options);
+        times.push(Number(process.hrtime.bigint() - start) / 1e6);
+    }
+    times.sort((a, b) => a - b);
+    return { milliseconds: times[Math.floor(runs / 2)], bytesRead: reader.bytesRead, readCount: reader.readCount, metadata, reader };
+}
+
+/**
+ * Counts the bytes of [start, end) that the reader read, however many times over.
+ */
+function getBytesReadWithin(reader, start, end) {
+    return reader.ranges.reduce((sum, [readStart, readEnd]) => sum + Math.max(0, Math.min(end, readEnd) - Math.max(start, readStart)), 0);
+}
+
+function formatResult(label, result, comparison) {
+    return `${label.padEnd(28)} ${result.milliseconds.toFixed(1).padStart(8)} ms  ${(result.bytesRead / 1024 / 1024).toFixed(2).padStart(8)} MiB read ` +
+        `in ${result.readCount} reads${comparison ? `  (${comparison})` : ''}`;
+}
+
+async function main() {
+    const vocabularySize = Number(process.argv[2]) || 250000;
+    const runs = Number(process.argv[3]) || 5;
+    const header = buildSyntheticHeader(vocabularySize);
+    console.log(`Synthetic header: ${vocabularySize} tokens, ${(header.byteLength / 1024 / 1024).toFixed(2)} MiB, median of ${runs} runs`);
+
+    let lazy;
+    for (const [label, options] of [['all arrays', {}], ['maxArrayLength 4096', { maxArrayLength: 4096 }], ['lazyArrays', { lazyArrays: true }]]) {
+        const before = await measure(header, options, runs, RereadFromStartReader);
+        const after = await measure(header, options, runs, CountingReader);
+        console.log(formatResult(`${label}, before`, before));
+        console.log(formatResult(`${label}, after`, after,
+            `${(before.milliseconds / after.milliseconds).toFixed(2)}x as fast, ${(100 * (1 - after.bytesRead / before.bytesRead)).toFixed(1)}% fewer bytes`));
+        lazy = after;
+    }
+
+    // The array header is the element type and the length; the elements follow it
+    const fixedSizeArrays = Object.values(lazy.metadata.arrayValues).filter(array => GgufArray.getElementSize(array.elementType));
+    const fixedSizeBytes = fixedSizeArrays.reduce((sum, array) => sum + array.length * GgufArray.getElementSize(array.elementType), 0);
+    const fixedSizeBytesRead = fixedSizeArrays.reduce((sum, array) => {
+        const start = array.offset + 4 + lazy.metadata.sizeBytes;
+        return sum + getBytesReadWithin(lazy.reader, start, start + array.length * GgufArray.getElementSize(array.elementType));
+    }, 0);
+    const elementCount = fixedSizeArrays.reduce((sum, array) => sum + array.length, 0);
+    console.log(`Fixed-size arrays (${fixedSizeArrays.length} arrays, ${elementCount} elements, ${(fixedSizeBytes / 1024 / 1024).toFixed(2)} MiB) ` +
+        `are skipped in O(1): the offset moves past them with no per-element work. With lazyArrays, ` +
+        `${(fixedSizeBytesRead / 1024 / 1024).toFixed(2)} MiB of them were still read, as part of the reads for the values around them.`);
+}
+
+main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,91 @@
+// JinjaTemplate and renderChatTemplate on chat templates copied from real models, checked against the prompts Hugging Face's
+// apply_chat_template gives for the same conversation, and getTokenizerInfo's warnings about the EOS token.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, JinjaTemplate, renderChatTemplate } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+const templates = {
+    chatml: "{% for message in messages %}{{'<|im_start|>' + message['role'] + '\\n' + message['content'] + '<|im_end|>' + '\\n'}}{% endfor %}" +
+        "{% if add_generation_prompt %}{{ '<|im_start|>assistant\\n' }}{% endif %}",
+    llama3: "{% set loop_messages = messages %}{% for message in loop_messages %}{% set content = '<|start_header_id|>' + message['role'] + " +
+        "'<|end_header_id|>\\n\\n'+ message['content'] | trim + '<|eot_id|>' %}{% if loop.index0 == 0 %}{% set content = bos_token + content %}{% endif %}" +
+        "{{ content }}{% endfor %}{% if add_generation_prompt %}{{ '<|start_header_id|>assistant<|end_header_id|>\\n\\n' }}{% endif %}",
+    gemma: "{{ bos_token }}{% if messages[0]['role'] == 'system' %}{{ raise_exception('System role not supported') }}{% endif %}" +
+        "{% for message in messages %}{% if (message['role'] == 'user') != (loop.index0 % 2 == 0) %}" +
+        "{{ raise_exception('Conversation roles must alternate user/assistant/user/assistant/...') }}{% endif %}" +
+        "{% if (message['role'] == 'assistant') %}{% set role = 'model' %}{% else %}{% set role = message['role'] %}{% endif %}" +
+        "{{ '<start_of_turn>' + role + '\\n' + message['content'] | trim + '<end_of_turn>\\n' }}{% endfor %}" +
+        "{% if add_generation_prompt %}{{'<start_of_turn>model\\n'}}{% endif %}",
+};
+
+test('renders a ChatML template', () => {
+    assert.equal(renderChatTemplate(templates.chatml),
+        '<|im_start|>system\nYou are a helpful assistant.<|im_end|>\n' +
+        '<|im_start|>user\nHello! What can you do?<|im_end|>\n' +
+        '<|im_start|>assistant\nI can answer questions and help with writing.<|im_end|>\n' +
+        '<|im_start|>user\nWrite a haiku about GPUs.<|im_end|>\n' +
+        '<|im_start|>assistant\n');
+    assert.equal(renderChatTemplate(templates.chatml, { messages: [{ role: 'user', content: 'Hi' }], addGenerationPrompt: false }),
+        '<|im_start|>user\nHi<|im_end|>\n');
+});
+
+test('renders the Llama 3 template, where | trim binds tighter than +', () => {
+    const messages = [{ role: 'user', content: '  Hi there \n' }, { role: 'assistant', content: 'Hello.' }];
+    assert.equal(renderChatTemplate(templates.llama3, { messages, bosToken: '<|begin_of_text|>' }),
+        '<|begin_of_text|><|start_header_id|>user<|end_header_id|>\n\nHi there<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\nHello.<|eot_id|>' +
+        '<|start_header_id|>assistant<|end_header_id|>\n\n');
+});
+
+test('renders the Gemma template, and its raise_exception for a system message fails cleanly', () => {
+    const messages = [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello.' }, { role: 'user', content: 'Bye' }];
+    assert.equal(renderChatTemplate(templates.gemma, { messages, bosToken: '<bos>' }),
+        '<bos><start_of_turn>user\nHi<end_of_turn>\n<start_of_turn>model\nHello.<end_of_turn>\n' +
+        '<start_of_turn>user\nBye<end_of_turn>\n<start_of_turn>model\n');
+    assert.throws(() => renderChatTemplate(templates.gemma), { message: 'The template raised an exception: System role not supported' });
+});
+
+test('throws a clear error for unsupported tags and broken syntax when parsing', () => {
+    assert.throws(() => new JinjaTemplate("{% macro greet(name) %}Hi {{ name }}{% endmacro %}{{ greet('x') }}"),
+        { message: 'Unsupported template tag {% macro %} at character 0' });
+    assert.throws(() => new JinjaTemplate("{% include 'other.jinja' %}"), { message: 'Unsupported template tag {% include %} at character 0' });
+    assert.throws(() => new JinjaTemplate('{% if x %}never closed'), { message: 'Missing {% endif %}' });
+});
+
+/**
+ * Loads a header with a five-token vocabulary, the Llama 3 template, and the given extra keys.
+ */
+async function loadTokenizer(keyValues) {
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(buildGguf({
+        keyValues: [
+            ['tokenizer.ggml.model', T.STRING, 'gpt2'],
+            ['tokenizer.ggml.tokens', T.ARRAY, { type: T.STRING, values: ['!', 'a', 'b', '<|begin_of_text|>', '<|eot_id|>'] }],
+            ['tokenizer.ggml.token_type', T.ARRAY, { type: T.INT32, values: [1, 1, 1, 3, 3] }],
+            ['tokenizer.chat_template', T.STRING, templates.llama3],
+            ...keyValues,
+        ],
+    }));
+    return metadata;
+}
+
+test('fills in bos_token from the vocabulary when rendering the model\'s template', async () => {
+    const metadata = await loadTokenizer([['tokenizer.ggml.bos_token_id', T.UINT32, 3], ['tokenizer.ggml.eos_token_id', T.UINT32, 4]]);
+    const info = metadata.getTokenizerInfo();
+    assert.deepEqual(info.warnings, []);
+    assert.deepEqual(info.specialTokens.map(({ name, text, type }) => ({ name, text, type })),
+        [{ name: 'bos', text: '<|begin_of_text|>', type: 'control' }, { name: 'eos', text: '<|eot_id|>', type: 'control' }]);
+    assert.ok(metadata.renderChatTemplate({ messages: [{ role: 'user', content: 'Hi' }] }).startsWith('<|begin_of_text|><|start_header_id|>user'));
+});
+
+test('warns when the EOS token id is missing', async () => {
+    const info = (await loadTokenizer([['tokenizer.ggml.bos_token_id', T.UINT32, 3]])).getTokenizerInfo();
+    assert.deepEqual(info.warnings, ['tokenizer.ggml.eos_token_id is missing, so generation may not know when to stop.']);
+});
+
+test('warns when the EOS token id is outside the vocabulary', async () => {
+    const info = (await loadTokenizer([['tokenizer.ggml.eos_token_id', T.UINT32, 5]])).getTokenizerInfo();
+    assert.deepEqual(info.warnings, ['The EOS token id 5 is outside the vocabulary (0 to 4).']);
+    assert.equal(info.specialTokens[0].text, undefined);
+});
@@ -0,0 +1,139 @@
+// Runs GGUFDumpCli.js on synthetic files, checking the exit code scripts and CI rely on for each outcome, and the JSON and CSV output.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { execFile } = require('node:child_process');
+const { GgufMetadataValueType: T, GgmlType } = require('../GgufMetadata.js');
+const { parseArgs, ExitCode } = require('../GGUFDumpCli.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+const cliPath = path.join(__dirname, '..', 'GGUFDumpCli.js');
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gguf-cli-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+const tensorNames = ['token_embd.weight', 'blk.0.attn_q.weight', 'blk.1.attn_q.weight', 'output.weight'];
+const files = {
+    model: buildGguf({
+        keyValues: [
+            ['general.architecture', T.STRING, 'llama'],
+            ['llama.block_count', T.UINT32, 2],
+            ['llama.embedding_length', T.UINT32, 64],
+            ['llama.attention.head_count', T.UINT32, 4],
+        ],
+        tensors: tensorNames.map((name, i) => ({ name, type: GgmlType.F32, dimensions: [8], offset: i * 32 })),
+        dataBytes: tensorNames.length * 32,
+    }),
+    // The second tensor starts 8 bytes into the 32-byte alignment
+    misaligned: buildGguf({
+        tensors: [{ name: 'a', type: GgmlType.F32, dimensions: [8], offset: 0 }, { name: 'b', type: GgmlType.F32, dimensions: [8], offset: 40 }],
+        dataBytes: 96,
+    }),
+    notGguf: Buffer.from('not a GGUF file'),
+};
+const paths = Object.fromEntries(Object.entries(files).map(([name, bytes]) => {
+    const filePath = path.join(directory, `${name}.gguf`);
+    fs.writeFileSync(filePath, bytes);
+    return [name, filePath];
+}));
+
+/**
+ * Runs the CLI in a child process, so the real exit code is seen.
+ * @returns {Promise<{code: number, stdout: string, stderr: string}>}
+ */
+function run(...args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [cliPath, ...args], (error, stdout, stderr) => resolve({ code: error?.code ?? 0, stdout, stderr }));
+    });
+}
+
+test('exits with SUCCESS when every file loads', async () => {
+    const { code } = await run('tensors', paths.model);
+    assert.equal(code, ExitCode.SUCCESS);
+});
+
+test('exits with FILE_ERROR when a file fails to load, after reporting the others', async () => {
+    const { code, stdout } = await run('tensors', '-f', 'json', paths.model, paths.notGguf);
+    assert.equal(code, ExitCode.FILE_ERROR);
+    const [model, notGguf] = JSON.parse(stdout);
+    assert.equal(model.tensors.length, tensorNames.length);
+    assert.equal(notGguf.file, paths.notGguf);
+    assert.equal(typeof notGguf.error, 'string');
+});
+
+for (const args of [
+    ['--unknown'],
+    ['--format', 'xml'],
+    ['--kv-type', 'q4_k'],
+    ['--parallel', '0'],
+    ['--ctx', '4096.5'],
+    ['--main-gpu', '-1'],
+    ['--vram', '12,12', '--main-gpu', '2'],
+    ['--main-gpu', '5', '--vram', '12,12'],
+]) {
+    test(`exits with USAGE_ERROR for plan ${args.join(' ')}`, async () => {
+        const { code, stderr, stdout } = await run('plan', ...args, paths.model);
+        assert.equal(code, ExitCode.USAGE_ERROR);
+        assert.match(stderr, /Usage:/);
+        assert.equal(stdout, '');
+    });
+}
+
+test('exits with USAGE_ERROR when no files are given', async () => {
+    assert.equal((await run('dump')).code, ExitCode.USAGE_ERROR);
+});
+
+test('exits with NO_FILES when no file matches the glob', async () => {
+    const { code, stderr } = await run('dump', path.join(directory, '*.missing'));
+    assert.equal(code, ExitCode.NO_FILES);
+    assert.match(stderr, /No files matched/);
+});
+
+for (const vram of ['0.0001', '0.0001,0.0001']) {
+    test(`exits with PLAN_DOES_NOT_FIT for --vram ${vram}`, async () => {
+        const { code, stdout } = await run('plan', '-f', 'json', '--vram', vram, paths.model);
+        assert.equal(code, ExitCode.PLAN_DOES_NOT_FIT);
+        assert.equal(JSON.parse(stdout)[0].plan.fits, false);
+    });
+}
+
+test('exits with VALIDATION_FAILED for integrity errors and for a header too broken to read', async () => {
+    const misaligned = await run('validate', '-f', 'json', paths.misaligned);
+    assert.equal(misaligned.code, ExitCode.VALIDATION_FAILED);
+    assert.match(misaligned.stdout, /"code": "misaligned"/);
+
+    assert.equal((await run('validate', paths.notGguf)).code, ExitCode.VALIDATION_FAILED);
+    assert.equal((await run('validate', paths.model)).code, ExitCode.SUCCESS);
+});
+
+test('writes the plan as JSON with the command line and tensor placements', async () => {
+    const { code, stdout } = await run('plan', '-f', 'json', '--parallel', '2', '--kv-type', 'Q8_0', paths.model);
+    assert.equal(code, ExitCode.SUCCESS);
+    const [{ file, plan }] = JSON.parse(stdout);
+    assert.equal(file, paths.model);
+    assert.equal(plan.fits, true);
+    assert.match(plan.commandLine, /^-ngl 3 -c 8192 -ctk q8_0 -ctv q8_0 -np 2\b/);
+    assert.deepEqual(plan.placements.map(placement => placement.name).sort(), [...tensorNames].sort());
+});
+
+test('writes CSV with a header row and a file column on every row', async () => {
+    const { code, stdout } = await run('tensors', '-f', 'csv', paths.model, paths.model.replace('model', 'missing'));
+    assert.equal(code, ExitCode.FILE_ERROR);
+    const [header, ...rows] = stdout.trimEnd().split('\n');
+    assert.equal(header, 'file,name,type,dimensions,elements,bytes,bitsPerWeight,offset,error');
+    assert.equal(rows.length, tensorNames.length + 1);
+    assert.equal(rows[1], `${paths.model},blk.0.attn_q.weight,F32,8,8,32,32,32,`);
+    assert.ok(rows[tensorNames.length].startsWith(`${paths.model.replace('model', 'missing')},,,,,,,,`));
+});
+
+test('parseArgs reads the command, options, and inputs', () => {
+    const options = parseArgs(['plan', '--vram', '12,8', '--main-gpu', '1', '--ctx', '32768', '--kv-type', 'Q8_0', '--parallel', '4', 'a.gguf', 'b.gguf']);
+    assert.equal(options.command, 'plan');
+    assert.deepEqual(options.vram, [12, 8]);
+    assert.equal(options.mainGpu, 1);
+    assert.equal(options.contextLength, 32768);
+    assert.equal(options.kvCacheType, 'q8_0');
+    assert.equal(options.parallel, 4);
+    assert.deepEqual(options.inputs, ['a.gguf', 'b.gguf']);
+});
@@ -0,0 +1,131 @@
+// dequantizeTensorData on hand-built blocks, with the scales and quantized weights packed the way ggml's quantize_row_* lays them out
+// and the expected weights worked out from ggml's dequantize_row_* formulas; and getTensorStats' NaN, Inf, and zero counts.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgmlType, GgmlTypes, dequantizeTensorData } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+// Half-precision bit patterns
+const half = { 0.25: 0x3400, 0.5: 0x3800, 1: 0x3C00, 2: 0x4000, NaN: 0x7E00 };
+
+/**
+ * Builds one block of typeSize bytes. fill is called with a DataView and the byte order to write the block's halves in.
+ */
+function buildBlock(type, littleEndian, fill) {
+    const bytes = new Uint8Array(GgmlTypes[type].typeSize);
+    fill(new DataView(bytes.buffer), littleEndian);
+    return bytes;
+}
+
+for (const littleEndian of [true, false]) {
+    const byteOrder = littleEndian ? 'little-endian' : 'big-endian';
+
+    test(`dequantizes a ${byteOrder} Q8_0 block`, () => {
+        // d = 0.5, and the weights -16 to 15
+        const block = buildBlock(GgmlType.Q8_0, littleEndian, view => {
+            view.setUint16(0, half[0.5], littleEndian);
+            for (let j = 0; j < 32; j++) view.setInt8(2 + j, j - 16);
+        });
+        assert.deepEqual([...dequantizeTensorData(GgmlType.Q8_0, block, littleEndian)], Array.from({ length: 32 }, (_, j) => (j - 16) * 0.5));
+    });
+
+    test(`dequantizes a ${byteOrder} Q4_0 block`, () => {
+        // d = 2; byte j holds weight j in its low nibble and weight j + 16 in its high one, each offset by 8
+        const block = buildBlock(GgmlType.Q4_0, littleEndian, view => {
+            view.setUint16(0, half[2], littleEndian);
+            for (let j = 0; j < 16; j++) view.setUint8(2 + j, j | ((15 - j) << 4));
+        });
+        const expected = [...Array.from({ length: 16 }, (_, j) => 2 * (j - 8)), ...Array.from({ length: 16 }, (_, j) => 2 * (7 - j))];
+        assert.deepEqual([...dequantizeTensorData(GgmlType.Q4_0, block, littleEndian)], expected);
+    });
+
+    test(`dequantizes a ${byteOrder} Q4_K block, including the scales and mins packed into the high bits`, () => {
+        // Sub-blocks 4 to 7 have scales and mins above 15, whose top two bits go in the top bits of the first eight scale bytes
+        const scales = [1, 2, 3, 4, 20, 37, 50, 63];
+        const mins = [0, 5, 10, 15, 33, 16, 47, 62];
+        const block = buildBlock(GgmlType.Q4_K, littleEndian, view => {
+            view.setUint16(0, half[1], littleEndian);
+            view.setUint16(2, half[0.5], littleEndian);
+            for (let j = 0; j < 4; j++) {
+                view.setUint8(4 + j, scales[j] | ((scales[j + 4] >> 4) << 6));
+                view.setUint8(8 + j, mins[j] | ((mins[j + 4] >> 4) << 6));
+                view.setUint8(12 + j, (scales[j + 4] & 0xF) | ((mins[j + 4] & 0xF) << 4));
+            }
+            // Each 32 bytes hold two sub-blocks: the even one in the low nibbles and the odd one in the high nibbles
+            for (let l = 0; l < 128; l++) view.setUint8(16 + l, (l & 0xF) | ((15 - (l & 0xF)) << 4));
+        });
+        const expected = Array.from({ length: 256 }, (_, i) => {
+            const subBlock = i >> 5;
+            const q = subBlock % 2 ? 15 - (i & 0xF) : i & 0xF;
+            return 1 * scales[subBlock] * q - 0.5 * mins[subBlock];
+        });
+        assert.deepEqual([...dequantizeTensorData(GgmlType.Q4_K, block, littleEndian)], expected);
+    });
+
+    test(`dequantizes a ${byteOrder} Q6_K block`, () => {
+        // Weight i of each 128-weight half is group i >> 5 and position l = i & 31; its low 4 bits are in ql (groups 0 and 2 in byte l,
+        // 1 and 3 in byte l + 32, the odd group in the high nibble), its high 2 bits in qh byte l, and its scale is 2 * group + (l >> 4)
+        const q6 = Array.from({ length: 256 }, (_, i) => (i * 7) % 64);
+        const scales = Array.from({ length: 16 }, (_, k) => k - 8);
+        const block = buildBlock(GgmlType.Q6_K, littleEndian, view => {
+            for (let halfIndex = 0; halfIndex < 2; halfIndex++) {
+                const q = group => q6.slice(halfIndex * 128 + group * 32, halfIndex * 128 + group * 32 + 32);
+                const [q0, q1, q2, q3] = [0, 1, 2, 3].map(q);
+                for (let l = 0; l < 32; l++) {
+                    view.setUint8(halfIndex * 64 + l, (q0[l] & 0xF) | ((q2[l] & 0xF) << 4));
+                    view.setUint8(halfIndex * 64 + l + 32, (q1[l] & 0xF) | ((q3[l] & 0xF) << 4));
+                    view.setUint8(128 + halfIndex * 32 + l, (q0[l] >> 4) | ((q1[l] >> 4) << 2) | ((q2[l] >> 4) << 4) | ((q3[l] >> 4) << 6));
+                }
+            }
+            scales.forEach((scale, k) => view.setInt8(192 + k, scale));
+            view.setUint16(208, half[0.25], littleEndian);
+        });
+        const expected = q6.map((q, i) => {
+            const halfIndex = i >> 7;
+            const group = (i >> 5) & 3;
+            return 0.25 * scales[halfIndex * 8 + 2 * group + ((i & 31) >> 4)] * (q - 32);
+        });
+        assert.deepEqual([...dequantizeTensorData(GgmlType.Q6_K, block, littleEndian)], expected);
+    });
+}
+
+test('rejects types it can\'t dequantize, listing the ones it can', () => {
+    assert.throws(() => dequantizeTensorData(GgmlType.IQ2_XXS, new Uint8Array(66)), /Can't read IQ2_XXS tensor data; only .*Q4_K/);
+});
+
+test('counts NaN, Inf, and zero weights in a synthetic file', async () => {
+    const floats = [NaN, Infinity, -Infinity, 0, 0, -0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+    const file = buildGguf({
+        tensors: [
+            { name: 'mixed.weight', type: GgmlType.F32, dimensions: [16], offset: 0 },
+            // Two Q8_0 blocks: one with a NaN scale, one with a zero scale
+            { name: 'broken.weight', type: GgmlType.Q8_0, dimensions: [64], offset: 64 },
+        ],
+        dataBytes: 64 + 2 * 34,
+    });
+    let metadata = new GgufMetadata();
+    await metadata.loadFromFile(file);
+    const data = new DataView(file.buffer, file.byteOffset + metadata.dataOffset);
+    floats.forEach((value, i) => data.setFloat32(i * 4, value, true));
+    data.setUint16(64, half.NaN, true);
+    data.setUint16(64 + 34, 0, true);
+    metadata = new GgufMetadata();
+    await metadata.loadFromFile(file);
+
+    const mixed = await metadata.getTensorStats(metadata.tensors[0]);
+    assert.equal(mixed.count, 16);
+    assert.equal(mixed.nanCount, 1);
+    assert.equal(mixed.infCount, 2);
+    assert.equal(mixed.zeroFraction, 3 / 16);
+    assert.equal(mixed.min, 0);
+    assert.equal(mixed.max, 10);
+    assert.equal(mixed.mean, 55 / 13);
+    assert.equal(mixed.sampled, false);
+
+    const broken = await metadata.getTensorStats(metadata.tensors[1]);
+    assert.equal(broken.count, 64);
+    assert.equal(broken.nanCount, 32);
+    assert.equal(broken.infCount, 0);
+    assert.equal(broken.zeroFraction, 32 / 64);
+    assert.deepEqual([broken.min, broken.max, broken.mean, broken.std], [0, 0, 0, 0]);
+});
@@ -0,0 +1,94 @@
+// GgufMetadata.writeTo round trips: a file written back unedited must be byte-identical to the original, and an edited one must be
+// exactly the file the edit describes, with the tensor data moved to the new data offset unchanged.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, GgmlType } = require('../GgufMetadata.js');
+const { buildGguf, writeToBuffer } = require('./SyntheticGguf.js');
+
+/**
+ * A small llama-style file with every scalar type, string and numeric arrays, a nested array, and three tensors.
+ */
+function buildModel({ version = 3, littleEndian = true, name = 'tiny', contextLength = 4096n, extraKeyValues = [], skipKeys = [] } = {}) {
+    const keyValues = [
+        ['general.architecture', T.STRING, 'llama'],
+        ['general.name', T.STRING, name],
+        ['general.alignment', T.UINT32, 32],
+        ['llama.block_count', T.UINT32, 1],
+        ['llama.context_length', T.UINT64, contextLength],
+        ['llama.rope.freq_base', T.FLOAT32, 10000],
+        ['test.uint8', T.UINT8, 200],
+        ['test.int8', T.INT8, -100],
+        ['test.uint16', T.UINT16, 60000],
+        ['test.int16', T.INT16, -30000],
+        ['test.int32', T.INT32, -2000000000],
+        ['test.int64', T.INT64, -(2n ** 62n)],
+        ['test.float64', T.FLOAT64, Math.PI],
+        ['test.bool', T.BOOL, true],
+        ['tokenizer.ggml.tokens', T.ARRAY, { type: T.STRING, values: ['<s>', '</s>', 'héllo', '世界'] }],
+        ['tokenizer.ggml.scores', T.ARRAY, { type: T.FLOAT32, values: [0, -1.5, -2.25, -3] }],
+        ['tokenizer.ggml.token_type', T.ARRAY, { type: T.INT32, values: [3, 3, 1, 1] }],
+        ['test.nested', T.ARRAY, { type: T.ARRAY, values: [{ type: T.UINT16, values: [1, 2] }, { type: T.STRING, values: ['x'] }] }],
+        ...extraKeyValues,
+    ].filter(([key]) => !skipKeys.includes(key));
+    return buildGguf({
+        version,
+        littleEndian,
+        keyValues,
+        tensors: [
+            { name: 'token_embd.weight', type: GgmlType.F32, dimensions: [8, 4], offset: 0 },
+            { name: 'blk.0.attn_q.weight', type: GgmlType.F16, dimensions: [8, 8], offset: 128 },
+            { name: 'output.weight', type: GgmlType.Q8_0, dimensions: [32, 4], offset: 256 },
+        ],
+        // 128 bytes of F32, 128 of F16, and 4 rows of one 34-byte Q8_0 block
+        dataBytes: 256 + 4 * 34,
+    });
+}
+
+async function load(file, options) {
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(file, null, options);
+    return metadata;
+}
+
+for (const [version, littleEndian] of [[3, true], [3, false], [2, true], [1, true]]) {
+    test(`writes an unedited v${version} ${littleEndian ? 'little' : 'big'}-endian file back byte for byte`, async () => {
+        const original = buildModel({ version, littleEndian });
+        assert.ok((await writeToBuffer(await load(original))).equals(original));
+    });
+}
+
+test('loads arrays that were skipped before writing them', async () => {
+    const original = buildModel();
+    const metadata = await load(original, { lazyArrays: true });
+    assert.equal(metadata.arrayValues['tokenizer.ggml.tokens'].loaded, false);
+    assert.ok((await writeToBuffer(metadata)).equals(original));
+});
+
+test('writes a setValue edit in place, moving the tensor data to the new data offset', async () => {
+    const metadata = await load(buildModel());
+    // Long enough to push the header past the next alignment boundary
+    const name = 'a much longer model name than the original one';
+    metadata.setValue('general.name', 'string', name);
+    metadata.setValue('llama.context_length', 'uint64', '8192');
+
+    const written = await writeToBuffer(metadata);
+    assert.ok(written.equals(buildModel({ name, contextLength: 8192n })));
+
+    const reloaded = await load(written);
+    assert.ok(reloaded.dataOffset > metadata.dataOffset);
+    assert.equal(reloaded.stringValues['general.name'], name);
+    assert.equal(reloaded.uint64Values['llama.context_length'], 8192n);
+    assert.deepEqual(Object.keys(reloaded.valueTypes), Object.keys(metadata.valueTypes));
+    for (const tensor of reloaded.tensors) {
+        const original = metadata.tensors.find(candidate => candidate.name === tensor.name);
+        assert.deepEqual(new Uint8Array(await reloaded.readTensorBytes(tensor)), new Uint8Array(await metadata.readTensorBytes(original)));
+    }
+});
+
+test('writes added and removed keys', async () => {
+    const metadata = await load(buildModel());
+    metadata.removeValue('test.bool');
+    metadata.setValue('tokenizer.ggml.eos_token_id', 'uint32', 2);
+    const expected = buildModel({ skipKeys: ['test.bool'], extraKeyValues: [['tokenizer.ggml.eos_token_id', T.UINT32, 2]] });
+    assert.ok((await writeToBuffer(metadata)).equals(expected));
+});
@@ -0,0 +1,89 @@
+// Reads a synthetic GGUF from a local HTTP server, checking that only the first range is downloaded and that a server without Range support
+// is reported instead of downloading the whole file.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { GgufMetadata, GgufMetadataValueType: T, GgmlType, HttpRangeReader } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+// 8MB of tensor data after a small header, so the file is bigger than the reader's 5MB first request
+const dataBytes = 8 * 1024 * 1024;
+const file = buildGguf({
+    keyValues: [
+        ['general.architecture', T.STRING, 'llama'],
+        ['llama.block_count', T.UINT32, 1],
+        ['tokenizer.ggml.tokens', T.ARRAY, { type: T.STRING, values: ['<s>', '</s>', 'hello'] }],
+    ],
+    tensors: [{ name: 'blk.0.attn_q.weight', type: GgmlType.F32, dimensions: [1024, 2048], offset: 0 }],
+    dataBytes,
+});
+
+/**
+ * Starts a server for the file on a free port. With ranges false it ignores Range headers and always sends the whole file, as some
+ * static servers and proxies do.
+ */
+async function startServer({ ranges = true } = {}) {
+    const server = http.createServer((request, response) => {
+        const match = /^bytes=(\d+)-(\d+)$/.exec(request.headers.range ?? '');
+        if (!ranges || !match) {
+            response.writeHead(200, { 'Content-Length': file.length });
+            response.end(request.method === 'HEAD' ? undefined : file);
+            return;
+        }
+        const start = Number(match[1]);
+        const end = Math.min(Number(match[2]), file.length - 1);
+        if (start >= file.length) {
+            response.writeHead(416, { 'Content-Range': `bytes */${file.length}` });
+            response.end();
+            return;
+        }
+        response.writeHead(206, { 'Content-Range': `bytes ${start}-${end}/${file.length}`, 'Content-Length': end - start + 1 });
+        response.end(file.subarray(start, end + 1));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}/model.gguf` };
+}
+
+test('parses the header from HTTP range requests without downloading the tensor data', async () => {
+    const { server, url } = await startServer();
+    try {
+        const reader = new HttpRangeReader(url);
+        const metadata = new GgufMetadata();
+        await metadata.loadFromFile(reader);
+
+        assert.equal(metadata.stringValues['general.architecture'], 'llama');
+        assert.deepEqual(metadata.arrayValues['tokenizer.ggml.tokens'].values, ['<s>', '</s>', 'hello']);
+        assert.equal(metadata.tensors.length, 1);
+        assert.equal(metadata.tensors[0].name, 'blk.0.attn_q.weight');
+        assert.equal(reader.size, file.length);
+        assert.equal(reader.requestCount, 1);
+        assert.equal(reader.bytesTransferred, 5 * 1024 * 1024);
+    } finally {
+        server.close();
+    }
+});
+
+test('reads ranges past the first request', async () => {
+    const { server, url } = await startServer();
+    try {
+        const reader = new HttpRangeReader(url, { initialBytes: 64 });
+        await reader.open();
+        const end = new Uint8Array(await reader.read(file.length - 16, 16));
+
+        assert.deepEqual([...end], [...file.subarray(file.length - 16)]);
+        assert.equal(reader.requestCount, 2);
+        assert.equal(reader.bytesTransferred, 64 + 16);
+    } finally {
+        server.close();
+    }
+});
+
+test('rejects a server that answers a range request with the whole file', async () => {
+    const { server, url } = await startServer({ ranges: false });
+    try {
+        const metadata = new GgufMetadata();
+        await assert.rejects(metadata.loadFromFile(url), /doesn't support HTTP range requests/);
+    } finally {
+        server.close();
+    }
+});
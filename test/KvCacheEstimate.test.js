@@ -0,0 +1,111 @@
+// The config.json and GGUF paths to the KV cache estimate must agree, and the offload planners must reserve what it gives. Each fixture
+// is the relevant part of a real model's config.json and the keys llama.cpp's converter writes for the same model.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, estimateKvCacheFromJson } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+async function loadHeader(keyValues) {
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(buildGguf({ keyValues }));
+    return metadata;
+}
+
+const fixtures = [
+    {
+        name: 'SWA (Gemma 2 2B)',
+        contextLength: 8192,
+        config: {
+            model_type: 'gemma2', num_hidden_layers: 26, hidden_size: 2304, num_attention_heads: 8, num_key_value_heads: 4,
+            head_dim: 256, sliding_window: 4096,
+        },
+        keyValues: [
+            ['general.architecture', T.STRING, 'gemma2'],
+            ['gemma2.block_count', T.UINT32, 26],
+            ['gemma2.embedding_length', T.UINT32, 2304],
+            ['gemma2.attention.head_count', T.UINT32, 8],
+            ['gemma2.attention.head_count_kv', T.UINT32, 4],
+            ['gemma2.attention.key_length', T.UINT32, 256],
+            ['gemma2.attention.value_length', T.UINT32, 256],
+            ['gemma2.attention.sliding_window', T.UINT32, 4096],
+        ],
+        // Every other layer is SWA: 13 full layers cache 8192 tokens and 13 SWA layers 4096, at 4 KV heads * 256 * 2 bytes each for K and V
+        expectedBytes: 13 * (8192 + 4096) * 4096,
+        formula: 'full+swa',
+    },
+    {
+        name: 'MLA (DeepSeek-V2-Lite)',
+        contextLength: 4096,
+        config: {
+            model_type: 'deepseek_v2', num_hidden_layers: 27, hidden_size: 2048, num_attention_heads: 16, num_key_value_heads: 16,
+            kv_lora_rank: 512, qk_nope_head_dim: 128, qk_rope_head_dim: 64, v_head_dim: 128,
+        },
+        keyValues: [
+            ['general.architecture', T.STRING, 'deepseek2'],
+            ['deepseek2.block_count', T.UINT32, 27],
+            ['deepseek2.embedding_length', T.UINT32, 2048],
+            ['deepseek2.attention.head_count', T.UINT32, 16],
+            ['deepseek2.attention.head_count_kv', T.UINT32, 16],
+            ['deepseek2.attention.key_length', T.UINT32, 192],
+            ['deepseek2.attention.value_length', T.UINT32, 128],
+            ['deepseek2.attention.kv_lora_rank', T.UINT32, 512],
+            ['deepseek2.rope.dimension_count', T.UINT32, 64],
+        ],
+        // One 512-wide latent plus the 64-wide RoPE key per token and layer, with no separate V cache
+        expectedBytes: 27 * 4096 * (512 + 64) * 2,
+        formula: 'mla',
+    },
+    {
+        name: 'hybrid (Jamba v0.1)',
+        contextLength: 4096,
+        config: {
+            model_type: 'jamba', num_hidden_layers: 32, hidden_size: 4096, num_attention_heads: 32, num_key_value_heads: 8,
+            attn_layer_period: 8, attn_layer_offset: 4, mamba_d_conv: 4, mamba_d_state: 16, mamba_expand: 2,
+        },
+        keyValues: [
+            ['general.architecture', T.STRING, 'jamba'],
+            ['jamba.block_count', T.UINT32, 32],
+            ['jamba.embedding_length', T.UINT32, 4096],
+            ['jamba.attention.head_count', T.UINT32, 32],
+            ['jamba.attention.head_count_kv', T.ARRAY, { type: T.UINT32, values: Array.from({ length: 32 }, (_, layer) => layer % 8 === 4 ? 8 : 0) }],
+            ['jamba.ssm.conv_kernel', T.UINT32, 4],
+            ['jamba.ssm.inner_size', T.UINT32, 8192],
+            ['jamba.ssm.state_size', T.UINT32, 16],
+        ],
+        // 4 attention layers with 8 KV heads * 128 * 2 bytes each for K and V, and 28 Mamba layers with an F32 conv and SSM state
+        expectedBytes: 4 * 4096 * 4096 + 28 * (3 * 8192 + 16 * 8192) * 4,
+        formula: 'full+recurrent',
+    },
+];
+
+for (const fixture of fixtures) {
+    test(`config.json and GGUF give the same KV cache for ${fixture.name}`, async () => {
+        const metadata = await loadHeader(fixture.keyValues);
+        const fromGguf = metadata.estimateKvCache({ contextLength: fixture.contextLength });
+        const fromJson = estimateKvCacheFromJson(fixture.config, { contextLength: fixture.contextLength });
+
+        assert.equal(fromGguf.totalBytes, fixture.expectedBytes);
+        assert.equal(fromJson.totalBytes, fixture.expectedBytes);
+        assert.equal(fromGguf.formula, fixture.formula);
+        assert.equal(fromJson.formula, fixture.formula);
+        assert.deepEqual(fromJson.layers, fromGguf.layers);
+    });
+}
+
+for (const fixture of fixtures.filter(fixture => fixture.formula !== 'mla')) {
+    test(`the offload planners reserve the KV cache for every parallel sequence for ${fixture.name}`, async () => {
+        const metadata = await loadHeader(fixture.keyValues);
+        const options = { contextLength: fixture.contextLength, parallel: 4 };
+        const expectedBytes = metadata.estimateKvCache(options).totalBytes;
+        assert.ok(expectedBytes > fixture.expectedBytes);
+
+        const plan = metadata.planOffload({ ...options, vramBytes: 64 * 1024 ** 3 });
+        assert.equal(plan.kvCacheBytes, expectedBytes);
+        assert.match(plan.commandLine, / -np 4\b/);
+
+        const multiGpuPlan = metadata.planMultiGpuOffload({ ...options, vramBytes: [32 * 1024 ** 3, 32 * 1024 ** 3] });
+        assert.equal(multiGpuPlan.kvCacheBytes, expectedBytes);
+        assert.equal(multiGpuPlan.devices.reduce((sum, device) => sum + device.kvCacheBytes, 0), expectedBytes);
+        assert.match(multiGpuPlan.commandLine, / -np 4\b/);
+    });
+}
@@ -0,0 +1,38 @@
+// planOffload and planMultiGpuOffload on budgets too small for the KV cache and compute buffer: both should return a plan that says it
+// doesn't fit, with every tensor on the CPU, rather than throw.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, GgmlType } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+async function loadModel() {
+    const names = ['token_embd.weight', 'blk.0.attn_q.weight', 'blk.1.attn_q.weight', 'output.weight'];
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(buildGguf({
+        keyValues: [
+            ['general.architecture', T.STRING, 'llama'],
+            ['llama.block_count', T.UINT32, 2],
+            ['llama.embedding_length', T.UINT32, 64],
+            ['llama.attention.head_count', T.UINT32, 4],
+        ],
+        tensors: names.map((name, i) => ({ name, type: GgmlType.F32, dimensions: [8], offset: i * 32 })),
+        dataBytes: names.length * 32,
+    }));
+    return metadata;
+}
+
+test('a single-GPU budget smaller than the compute buffer gives a plan that does not fit', async () => {
+    const plan = (await loadModel()).planOffload({ vramBytes: 1024 * 1024, computeBufferBytes: 2 * 1024 * 1024 });
+    assert.equal(plan.fits, false);
+    assert.equal(plan.weightsFit, false);
+    assert.ok(plan.placements.every(placement => placement.device === 'CPU'));
+});
+
+test('GPUs with no room after the compute buffer split the blocks evenly and keep every tensor on the CPU', async () => {
+    const plan = (await loadModel()).planMultiGpuOffload({ vramBytes: [1024 * 1024, 1024 * 1024], computeBufferBytes: 2 * 1024 * 1024 });
+    assert.equal(plan.fits, false);
+    assert.deepEqual(plan.tensorSplit, [1, 1]);
+    assert.ok(plan.devices.every(device => device.freeBytes < 0 && device.weightBytes === 0));
+    assert.ok(plan.placements.every(placement => placement.device === 'CPU'));
+    assert.ok(plan.tensorOverrides.every(override => override.endsWith('=CPU')));
+});
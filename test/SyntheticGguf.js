@@ -0,0 +1,102 @@
+// Builds small synthetic GGUF files for the tests. This is written independently of GgufMetadata's header writer, straight from the
+// specification, so the writer's output can be checked against it byte for byte.
+const { GgufMetadataValueType } = require('../GgufMetadata.js');
+
+/**
+ * Builds a GGUF file in memory.
+ * @param {object} [options]
+ * @param {number} [options.version=3] - The GGUF version; v1 has 32-bit counts and lengths
+ * @param {boolean} [options.littleEndian=true]
+ * @param {Array<[string, number, *]>} [options.keyValues] - [key, GgufMetadataValueType, value] triples, written in order. String
+ * values can be Buffers, to write bytes that aren't valid UTF-8; array values are {type, values}.
+ * @param {{name: string, type: number, dimensions: number[], offset: number}[]} [options.tensors] - Tensor infos, with offsets
+ * relative to the data section
+ * @param {number} [options.dataBytes=0] - Bytes of tensor data after the header, which is padded to the alignment first; the data
+ * is a repeating 0-255 pattern, and is padded to the alignment too, as llama.cpp does
+ * @param {number} [options.alignment=32] - The alignment to pad to; set general.alignment in keyValues as well to change it
+ * @param {boolean} [options.pad=true] - If false, nothing is padded, and the data (if any) follows the header immediately
+ * @returns {Buffer}
+ */
+function buildGguf({ version = 3, littleEndian = true, keyValues = [], tensors = [], dataBytes = 0, alignment = 32, pad = true } = {}) {
+    const parts = [];
+    let length = 0;
+    const push = bytes => {
+        parts.push(bytes);
+        length += bytes.length;
+    };
+    const writeNumber = (method, byteLength, value) => {
+        const bytes = Buffer.alloc(byteLength);
+        bytes[byteLength > 1 ? `${method}${littleEndian ? 'LE' : 'BE'}` : method](value);
+        push(bytes);
+    };
+    const writeUint32 = value => writeNumber('writeUInt32', 4, value);
+    const writeUint64 = value => writeNumber('writeBigUInt64', 8, BigInt(value));
+    const writeSize = value => version === 1 ? writeUint32(Number(value)) : writeUint64(value);
+    const writeString = value => {
+        const bytes = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+        writeSize(bytes.length);
+        push(bytes);
+    };
+    const writeValue = (type, value) => {
+        switch (type) {
+            case GgufMetadataValueType.UINT8: writeNumber('writeUInt8', 1, value); break;
+            case GgufMetadataValueType.INT8: writeNumber('writeInt8', 1, value); break;
+            case GgufMetadataValueType.UINT16: writeNumber('writeUInt16', 2, value); break;
+            case GgufMetadataValueType.INT16: writeNumber('writeInt16', 2, value); break;
+            case GgufMetadataValueType.UINT32: writeUint32(value); break;
+            case GgufMetadataValueType.INT32: writeNumber('writeInt32', 4, value); break;
+            case GgufMetadataValueType.FLOAT32: writeNumber('writeFloat', 4, value); break;
+            case GgufMetadataValueType.BOOL: writeNumber('writeUInt8', 1, value ? 1 : 0); break;
+            case GgufMetadataValueType.STRING: writeString(value); break;
+            case GgufMetadataValueType.UINT64: writeUint64(value); break;
+            case GgufMetadataValueType.INT64: writeNumber('writeBigInt64', 8, BigInt(value)); break;
+            case GgufMetadataValueType.FLOAT64: writeNumber('writeDouble', 8, value); break;
+            case GgufMetadataValueType.ARRAY:
+                writeUint32(value.type);
+                writeSize(value.values.length);
+                value.values.forEach(element => writeValue(value.type, element));
+                break;
+            default:
+                throw new Error(`Unknown value type ${type}`);
+        }
+    };
+    const padToAlignment = () => {
+        if (pad && length % alignment) push(Buffer.alloc(alignment - length % alignment));
+    };
+
+    push(Buffer.from('GGUF', 'latin1'));
+    writeUint32(version);
+    writeSize(tensors.length);
+    writeSize(keyValues.length);
+    for (const [key, type, value] of keyValues) {
+        writeString(key);
+        writeUint32(type);
+        writeValue(type, value);
+    }
+    for (const tensor of tensors) {
+        writeString(tensor.name);
+        writeUint32(tensor.dimensions.length);
+        tensor.dimensions.forEach(writeSize);
+        writeUint32(tensor.type);
+        writeUint64(tensor.offset);
+    }
+    if (dataBytes) {
+        padToAlignment();
+        push(Buffer.from(Array.from({ length: dataBytes }, (_, i) => i & 0xFF)));
+        padToAlignment();
+    }
+    return Buffer.concat(parts);
+}
+
+/**
+ * Collects what GgufMetadata.writeTo writes into one Buffer.
+ * @param {GgufMetadata} metadata
+ * @returns {Promise<Buffer>}
+ */
+async function writeToBuffer(metadata) {
+    const chunks = [];
+    await metadata.writeTo(chunk => chunks.push(Buffer.from(chunk)));
+    return Buffer.concat(chunks);
+}
+
+module.exports = { buildGguf, writeToBuffer };
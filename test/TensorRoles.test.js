@@ -0,0 +1,122 @@
+// classifyTensorName and DefaultOffloadRules on the tensor names real llama.cpp conversions use. Each entry is
+// [name, role, block, priority under the default rules].
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, GgmlType, TensorRole: R, classifyTensorName, DefaultOffloadRules } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+const modelTensorNames = {
+    llama: [
+        ['token_embd.weight', R.EMBEDDING, -1, 60],
+        ['rope_freqs.weight', R.OTHER, -1, 10],
+        ['output_norm.weight', R.NORM, -1, 10],
+        ['output.weight', R.OUTPUT, -1, 10],
+        ['blk.0.attn_norm.weight', R.NORM, 0, 21],
+        ['blk.0.attn_q.weight', R.ATTENTION_Q, 0, 20],
+        ['blk.0.attn_k.weight', R.ATTENTION_K, 0, 20],
+        ['blk.0.attn_v.weight', R.ATTENTION_V, 0, 20],
+        ['blk.0.attn_output.weight', R.ATTENTION_OUTPUT, 0, 20],
+        ['blk.0.ffn_norm.weight', R.NORM, 0, 21],
+        ['blk.0.ffn_gate.weight', R.FFN, 0, 21],
+        ['blk.0.ffn_up.weight', R.FFN, 0, 21],
+        ['blk.31.ffn_down.weight', R.FFN, 31, 21],
+    ],
+    // Qwen2-MoE style, with a shared expert and its gate, plus DeepSeek's expert bias and an old Mixtral per-expert tensor
+    'MoE with shared experts': [
+        ['blk.3.attn_qkv.weight', R.ATTENTION_QKV, 3, 20],
+        ['blk.3.ffn_gate_inp.weight', R.ROUTER, 3, 21],
+        ['blk.3.exp_probs_b.bias', R.ROUTER, 3, 21],
+        ['blk.3.ffn_gate_exps.weight', R.ROUTED_EXPERT, 3, 30],
+        ['blk.3.ffn_up_exps.weight', R.ROUTED_EXPERT, 3, 30],
+        ['blk.3.ffn_down_exps.weight', R.ROUTED_EXPERT, 3, 30],
+        ['blk.3.ffn_gate_inp_shexp.weight', R.SHARED_EXPERT, 3, 21],
+        ['blk.3.ffn_gate_shexp.weight', R.SHARED_EXPERT, 3, 21],
+        ['blk.3.ffn_up_shexp.weight', R.SHARED_EXPERT, 3, 21],
+        ['blk.3.ffn_down_shexp.weight', R.SHARED_EXPERT, 3, 21],
+        ['blk.1.ffn_up.3.weight', R.ROUTED_EXPERT, 1, 30],
+    ],
+    // DeepSeek-V2/V3 multi-head latent attention
+    MLA: [
+        ['blk.1.attn_q_a.weight', R.ATTENTION_Q, 1, 20],
+        ['blk.1.attn_q_a_norm.weight', R.NORM, 1, 21],
+        ['blk.1.attn_q_b.weight', R.ATTENTION_Q, 1, 20],
+        ['blk.1.attn_kv_a_mqa.weight', R.ATTENTION_OTHER, 1, 20],
+        ['blk.1.attn_kv_a_norm.weight', R.NORM, 1, 21],
+        ['blk.1.attn_kv_b.weight', R.ATTENTION_OTHER, 1, 20],
+        ['blk.1.attn_k_b.weight', R.ATTENTION_K, 1, 20],
+        ['blk.1.attn_v_b.weight', R.ATTENTION_V, 1, 20],
+        ['blk.1.attn_output.weight', R.ATTENTION_OUTPUT, 1, 20],
+    ],
+    // Mamba, then Jamba's attention and MoE layers between its Mamba layers, RWKV, and LFM2's short convolutions
+    'Mamba and hybrids': [
+        ['blk.0.ssm_in.weight', R.SSM, 0, 21],
+        ['blk.0.ssm_conv1d.weight', R.SSM, 0, 21],
+        ['blk.0.ssm_conv1d.bias', R.SSM, 0, 21],
+        ['blk.0.ssm_x.weight', R.SSM, 0, 21],
+        ['blk.0.ssm_dt.bias', R.SSM, 0, 21],
+        ['blk.0.ssm_a', R.SSM, 0, 21],
+        ['blk.0.ssm_d', R.SSM, 0, 21],
+        ['blk.0.ssm_out.weight', R.SSM, 0, 21],
+        ['blk.4.attn_q.weight', R.ATTENTION_Q, 4, 20],
+        ['blk.5.ffn_gate_exps.weight', R.ROUTED_EXPERT, 5, 30],
+        ['blk.0.time_mix_key.weight', R.SSM, 0, 21],
+        ['blk.0.channel_mix_key.weight', R.FFN, 0, 21],
+        ['blk.2.shortconv.conv.weight', R.SSM, 2, 21],
+    ],
+    multimodal: [
+        ['v.blk.0.attn_q.weight', R.VISION, 0, 50],
+        ['v.patch_embd.weight', R.VISION, -1, 50],
+        ['mm.0.weight', R.VISION, -1, 50],
+        ['a.blk.2.ffn_up.weight', R.AUDIO, 2, 50],
+    ],
+};
+
+for (const [model, names] of Object.entries(modelTensorNames)) {
+    test(`classifies ${model} tensors and gives them the default offload priorities`, () => {
+        for (const [name, role, block, priority] of names) {
+            const classification = classifyTensorName(name);
+            assert.equal(classification.role, role, name);
+            assert.equal(classification.block, block, name);
+            assert.equal(GgufMetadata._getOffloadPriority({ name }, classification, DefaultOffloadRules), priority, name);
+        }
+    });
+}
+
+test('treats nextn tensors and the last nextn_predict_layers blocks as multi-token prediction', () => {
+    assert.equal(classifyTensorName('blk.46.nextn.eh_proj.weight').role, R.MTP);
+    assert.equal(classifyTensorName('blk.46.attn_q.weight', { mtpFirstBlock: 46 }).role, R.MTP);
+    assert.equal(classifyTensorName('blk.45.attn_q.weight', { mtpFirstBlock: 46 }).role, R.ATTENTION_Q);
+    assert.equal(GgufMetadata._getOffloadPriority({ name: 'blk.46.attn_q.weight' }, { role: R.MTP, block: 46 }, DefaultOffloadRules), 40);
+});
+
+test('orders a MoE model for offloading by priority, then block', async () => {
+    const names = [
+        'token_embd.weight', 'blk.0.ffn_up_exps.weight', 'blk.1.attn_q.weight', 'blk.1.ffn_up_shexp.weight', 'output.weight',
+        'blk.0.attn_q.weight', 'blk.1.ffn_up_exps.weight', 'blk.0.ffn_gate_inp.weight', 'blk.2.attn_q.weight', 'blk.2.nextn.eh_proj.weight',
+    ];
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(buildGguf({
+        keyValues: [['general.architecture', T.STRING, 'qwen2moe'], ['qwen2moe.block_count', T.UINT32, 3], ['qwen2moe.nextn_predict_layers', T.UINT32, 1]],
+        tensors: names.map((name, i) => ({ name, type: GgmlType.F32, dimensions: [8], offset: i * 32 })),
+        dataBytes: names.length * 32,
+    }));
+    assert.deepEqual(metadata.getTensorsForOffload().map(tensor => tensor.name), [
+        'output.weight',
+        'blk.0.attn_q.weight', 'blk.1.attn_q.weight',
+        'blk.0.ffn_gate_inp.weight', 'blk.1.ffn_up_shexp.weight',
+        'blk.0.ffn_up_exps.weight', 'blk.1.ffn_up_exps.weight',
+        'blk.2.attn_q.weight', 'blk.2.nextn.eh_proj.weight',
+        'token_embd.weight',
+    ]);
+});
+
+test('offload rules passed in are checked before the defaults', async () => {
+    const metadata = new GgufMetadata();
+    await metadata.loadFromFile(buildGguf({
+        tensors: ['blk.0.ffn_up_exps.weight', 'blk.0.ffn_down_exps.weight', 'blk.0.attn_q.weight']
+            .map((name, i) => ({ name, type: GgmlType.F32, dimensions: [8], offset: i * 32 })),
+        dataBytes: 96,
+    }));
+    const order = metadata.getTensorsForOffload({ rules: [{ name: /ffn_down_exps/, priority: 15 }] }).map(tensor => tensor.name);
+    assert.deepEqual(order, ['blk.0.ffn_down_exps.weight', 'blk.0.attn_q.weight', 'blk.0.ffn_up_exps.weight']);
+});
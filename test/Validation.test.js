@@ -0,0 +1,90 @@
+// GgufMetadata.validate and validateFile on deliberately broken synthetic files: each check should report one finding with the right
+// severity, code, and file offset, and a healthy file none.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { GgufMetadata, GgufMetadataValueType: T, GgmlType, GgmlTypes } = require('../GgufMetadata.js');
+const { buildGguf } = require('./SyntheticGguf.js');
+
+// The v3 header up to the first key-value pair: magic, version, tensor count, and key-value count
+const firstKeyValueOffset = 4 + 4 + 8 + 8;
+
+/**
+ * Validates a file, returning the findings without their messages, and the offset where its tensor data starts.
+ */
+async function validate(file) {
+    const { metadata, findings } = await GgufMetadata.validateFile(file);
+    return { findings: findings.map(({ severity, code, offset }) => ({ severity, code, offset })), dataOffset: metadata?.dataOffset };
+}
+
+const f32 = (name, elements, offset) => ({ name, type: GgmlType.F32, dimensions: [elements], offset });
+
+test('a healthy file has no findings', async () => {
+    const { findings } = await validate(buildGguf({
+        keyValues: [['general.name', T.STRING, 'healthy']],
+        tensors: [f32('a', 8, 0), f32('b', 8, 32)],
+        dataBytes: 64,
+    }));
+    assert.deepEqual(findings, []);
+});
+
+test('reports a duplicate key at the second occurrence', async () => {
+    const { findings } = await validate(buildGguf({
+        keyValues: [['general.name', T.STRING, 'a'], ['general.name', T.STRING, 'b']],
+    }));
+    // The first pair is the key's length and bytes, the value type, and the one-character string's length and byte
+    const secondKeyOffset = firstKeyValueOffset + 8 + 'general.name'.length + 4 + 8 + 1;
+    assert.deepEqual(findings, [{ severity: 'error', code: 'duplicate-key', offset: secondKeyOffset }]);
+});
+
+test('reports invalid UTF-8 at the start of the string', async () => {
+    const { findings } = await validate(buildGguf({
+        keyValues: [['general.name', T.STRING, Buffer.from([0x41, 0xFF, 0x42])]],
+    }));
+    const stringOffset = firstKeyValueOffset + 8 + 'general.name'.length + 4 + 8;
+    assert.deepEqual(findings, [{ severity: 'error', code: 'invalid-utf8', offset: stringOffset }]);
+});
+
+test('reports tensor data that is not aligned', async () => {
+    const { findings, dataOffset } = await validate(buildGguf({ tensors: [f32('a', 8, 0), f32('b', 8, 40)], dataBytes: 96 }));
+    assert.deepEqual(findings, [{ severity: 'error', code: 'misaligned', offset: dataOffset + 40 }]);
+});
+
+test('reports overlapping tensor data', async () => {
+    const { findings, dataOffset } = await validate(buildGguf({ tensors: [f32('a', 16, 0), f32('b', 8, 32)], dataBytes: 64 }));
+    assert.deepEqual(findings, [{ severity: 'error', code: 'overlap', offset: dataOffset + 32 }]);
+});
+
+test('warns about tensor data out of order', async () => {
+    const { findings, dataOffset } = await validate(buildGguf({ tensors: [f32('a', 8, 32), f32('b', 8, 0)], dataBytes: 64 }));
+    assert.deepEqual(findings, [{ severity: 'warning', code: 'out-of-order', offset: dataOffset }]);
+});
+
+test('reports tensor data past the end of the file', async () => {
+    const { findings, dataOffset } = await validate(buildGguf({ tensors: [f32('a', 64, 0)], dataBytes: 64 }));
+    assert.deepEqual(findings, [{ severity: 'error', code: 'truncated', offset: dataOffset }]);
+});
+
+test('reports an unknown tensor type', async () => {
+    const unknownType = 99;
+    assert.equal(GgmlTypes[unknownType], undefined);
+    const { findings, dataOffset } = await validate(buildGguf({
+        tensors: [{ name: 'a', type: unknownType, dimensions: [8], offset: 0 }],
+        dataBytes: 32,
+    }));
+    assert.deepEqual(findings, [{ severity: 'error', code: 'unknown-type', offset: dataOffset }]);
+});
+
+test('reports more than four dimensions', async () => {
+    const { findings, dataOffset } = await validate(buildGguf({
+        tensors: [{ name: 'a', type: GgmlType.F32, dimensions: [8, 1, 1, 1, 1], offset: 0 }],
+        dataBytes: 32,
+    }));
+    assert.deepEqual(findings, [{ severity: 'error', code: 'too-many-dimensions', offset: dataOffset }]);
+});
+
+test('reports a header cut off mid-way as unreadable, at the part that was being read', async () => {
+    const file = buildGguf({ keyValues: [['general.name', T.STRING, 'cut off']] });
+    const { findings, dataOffset } = await validate(file.subarray(0, firstKeyValueOffset + 10));
+    assert.equal(dataOffset, undefined);
+    assert.deepEqual(findings, [{ severity: 'error', code: 'unreadable', offset: firstKeyValueOffset }]);
+});